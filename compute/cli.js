@@ -0,0 +1,361 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { Client } = require("pg");
+const { PgCompute, DeploymentMode } = require("./pg_compute.js");
+
+const USAGE =
+    "Usage: pg-compute <command> <module> [options]\n" +
+    "\n" +
+    "Commands:\n" +
+    "  deploy    Deploy the functions exported by the module\n" +
+    "  status    Compare the exported functions with the deployed ones\n" +
+    "  diff      Show how the exported functions differ from the deployed ones\n" +
+    "  drop      Drop the deployed functions exported by the module\n" +
+    "  migrate   Write the SQL migration that deploys the functions exported by the module\n" +
+    "\n" +
+    "Options:\n" +
+    "  -s, --schema <name>       Database schema of the functions, 'public' by default\n" +
+    "  -c, --connection <uri>    Connection string, the PG* environment variables are used by default\n" +
+    "  -f, --function <name>     Process only the function with the given name, can be repeated\n" +
+    "  -o, --out <dir>           Directory for the migration files, './migrations' by default\n" +
+    "  --format <format>         Layout of the migration files: 'migrate' (<version>_<name>.up.sql and\n" +
+    "                            <version>_<name>.down.sql), 'flyway' (V<version>__<name>.sql and\n" +
+    "                            U<version>__<name>.sql) or 'dbmate' (<version>_<name>.sql). 'migrate' by default\n" +
+    "  --name <name>             Name of the migration, 'pg_compute_functions' by default\n" +
+    "  -h, --help                Print this message\n" +
+    "\n" +
+    "The types of the function arguments must be declared with JSDoc annotations inside the functions.";
+
+const COMMANDS = ["deploy", "status", "diff", "drop", "migrate"];
+
+const MIGRATION_FORMATS = ["migrate", "flyway", "dbmate"];
+
+/**
+ * Parses the command line arguments.
+ * 
+ * @param {Array<string>} argv - The arguments without the node and script paths.
+ * @returns {Object} The `command`, `module`, `schema`, `connection`, `functions` and `help` fields.
+ */
+function parseArguments(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            schema: { type: "string", short: "s", default: "public" },
+            connection: { type: "string", short: "c" },
+            function: { type: "string", short: "f", multiple: true },
+            out: { type: "string", short: "o", default: "./migrations" },
+            format: { type: "string", default: "migrate" },
+            name: { type: "string", default: "pg_compute_functions" },
+            help: { type: "boolean", short: "h", default: false }
+        }
+    });
+
+    const args = {
+        command: positionals[0],
+        module: positionals[1],
+        schema: values.schema,
+        connection: values.connection,
+        functions: values.function,
+        out: values.out,
+        format: values.format,
+        name: values.name,
+        help: values.help
+    };
+
+    if (args.help)
+        return args;
+
+    if (args.command == undefined || !COMMANDS.includes(args.command))
+        throw new Error("Unknown command '" + args.command + "'. Supported commands: " + COMMANDS.join(", "));
+
+    if (args.module == undefined)
+        throw new Error("The module with the functions is not specified");
+
+    if (!MIGRATION_FORMATS.includes(args.format))
+        throw new Error("Unknown migration format '" + args.format + "'. Supported formats: " + MIGRATION_FORMATS.join(", "));
+
+    return args;
+}
+
+/**
+ * Loads the functions exported by a module.
+ * 
+ * @param {string} modulePath - The module path, relative paths are resolved against the current directory.
+ * @param {Array<string>} [names] - Load only the functions with these names.
+ * @returns {Array<Function>} The exported functions.
+ */
+function loadFunctions(modulePath, names) {
+    const moduleExports = require(path.resolve(process.cwd(), modulePath));
+
+    let functions = typeof (moduleExports) == "function" ?
+        [moduleExports] : Object.values(moduleExports).filter(value => typeof (value) == "function");
+
+    functions = functions.filter((func, i) => functions.indexOf(func) == i);
+
+    if (names != undefined) {
+        names.forEach(name => {
+            if (!functions.some(func => func.name == name))
+                throw new Error("Function '" + name + "' is not exported by module '" + modulePath + "'");
+        });
+
+        functions = functions.filter(func => names.includes(func.name));
+    }
+
+    if (functions.length == 0)
+        throw new Error("Module '" + modulePath + "' doesn't export any functions");
+
+    return functions;
+}
+
+/**
+ * Compares two texts line by line.
+ * 
+ * @returns {Array<string>} The lines of both texts prefixed with `-` if the line was removed from
+ * the old text, `+` if it was added to the new one, or a space if the line is in both.
+ */
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split("\n");
+    const newLines = newText.split("\n");
+
+    // The longest common subsequence lengths of the line suffixes
+    const lcs = [];
+
+    for (let i = oldLines.length; i >= 0; i--) {
+        lcs[i] = [];
+
+        for (let j = newLines.length; j >= 0; j--) {
+            if (i == oldLines.length || j == newLines.length)
+                lcs[i][j] = 0;
+            else if (oldLines[i] == newLines[j])
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            else
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let diff = [];
+    let i = 0, j = 0;
+
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] == newLines[j]) {
+            diff.push("  " + oldLines[i]);
+            i++;
+            j++;
+        } else if (i < oldLines.length && (j == newLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            diff.push("- " + oldLines[i]);
+            i++;
+        } else {
+            diff.push("+ " + newLines[j]);
+            j++;
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Writes the migration files in the layout expected by a migration tool.
+ * 
+ * @param {string} dir - The output directory, created if it doesn't exist.
+ * @param {string} format - `migrate`, `flyway` or `dbmate`.
+ * @param {string} name - The migration name.
+ * @param {string} version - The migration version.
+ * @param {{up: string, down: string}} migration - The migration SQL.
+ * @returns {Array<string>} The paths of the written files.
+ */
+function writeMigration(dir, format, name, version, migration) {
+    let files = {};
+
+    switch (format) {
+        case "migrate":
+            files[version + "_" + name + ".up.sql"] = migration.up;
+            files[version + "_" + name + ".down.sql"] = migration.down;
+            break;
+        case "flyway":
+            files["V" + version + "__" + name + ".sql"] = migration.up;
+            files["U" + version + "__" + name + ".sql"] = migration.down;
+            break;
+        case "dbmate":
+            files[version + "_" + name + ".sql"] =
+                "-- migrate:up\n" + migration.up + "\n-- migrate:down\n" + migration.down;
+            break;
+        default:
+            throw new Error("Unknown migration format '" + format + "'");
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    return Object.keys(files).map(fileName => {
+        const filePath = path.join(dir, fileName);
+        fs.writeFileSync(filePath, files[fileName]);
+
+        return filePath;
+    });
+}
+
+/**
+ * Returns the current UTC time in the `YYYYMMDDHHMMSS` format used as the migration version.
+ */
+function getMigrationVersion(date = new Date()) {
+    return date.toISOString().replace(/[-:T]/g, "").substring(0, 14);
+}
+
+async function migrate(args, functions, out) {
+    const compute = new PgCompute(DeploymentMode.AUTO, args.schema);
+    const migration = compute.generateMigration(functions);
+
+    writeMigration(args.out, args.format, args.name, getMigrationVersion(), migration)
+        .forEach(filePath => out.log("written".padEnd(12) + filePath));
+
+    return 0;
+}
+
+async function deploy(compute, client, functions, out) {
+    let failed = false;
+
+    for (const func of functions) {
+        try {
+            const action = await compute.deploy(client, func);
+            out.log(action.padEnd(12) + func.name);
+        } catch (error) {
+            out.error("failed".padEnd(12) + func.name + ": " + error.message);
+            failed = true;
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+async function status(compute, client, functions, out) {
+    for (const func of functions) {
+        const funcStatus = await compute.status(client, func);
+        let line = funcStatus.state.padEnd(12) + func.name + "(" + funcStatus.args + ")";
+
+        if (funcStatus.state == "changed") {
+            line += "  local " + funcStatus.localHashCode + ", deployed " + funcStatus.deployedHashCode;
+
+            if (funcStatus.deployedArgs != funcStatus.args)
+                line += " (" + funcStatus.deployedArgs + ")";
+        } else if (funcStatus.state == "deployed") {
+            line += "  " + funcStatus.localHashCode;
+        }
+
+        out.log(line);
+    }
+
+    return 0;
+}
+
+async function diff(compute, client, functions, out) {
+    for (const func of functions) {
+        const funcStatus = await compute.status(client, func);
+
+        if (funcStatus.state == "deployed")
+            continue;
+
+        out.log("--- deployed " + func.name + "(" + (funcStatus.deployedArgs != undefined ? funcStatus.deployedArgs : "") + ")");
+        out.log("+++ local " + func.name + "(" + funcStatus.args + ")");
+
+        const deployedBody = funcStatus.deployedBody != undefined ? funcStatus.deployedBody : "";
+
+        diffLines(deployedBody, funcStatus.localBody).forEach(line => out.log(line));
+    }
+
+    return 0;
+}
+
+async function drop(compute, client, functions, out) {
+    for (const func of functions) {
+        const droppedArgs = await compute.drop(client, func);
+
+        if (droppedArgs.length == 0)
+            out.log("missing".padEnd(12) + func.name);
+
+        droppedArgs.forEach(args => out.log("dropped".padEnd(12) + func.name + "(" + args + ")"));
+    }
+
+    return 0;
+}
+
+/**
+ * Runs the pg-compute command line tool.
+ * 
+ * @param {Array<string>} argv - The arguments without the node and script paths.
+ * @param {Console} [out] - Where to print the output.
+ * @returns {number} The exit code.
+ */
+async function main(argv, out = console) {
+    let args;
+
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        out.error(error.message + "\n\n" + USAGE);
+        return 1;
+    }
+
+    if (args.help) {
+        out.log(USAGE);
+        return 0;
+    }
+
+    if (args.command == "migrate") {
+        try {
+            return await migrate(args, loadFunctions(args.module, args.functions), out);
+        } catch (error) {
+            out.error(error.message);
+            return 1;
+        }
+    }
+
+    const client = new Client(args.connection != undefined ? { connectionString: args.connection } : undefined);
+
+    try {
+        const functions = loadFunctions(args.module, args.functions);
+
+        await client.connect();
+
+        const compute = new PgCompute(DeploymentMode.AUTO, args.schema);
+        await compute.init(client);
+
+        switch (args.command) {
+            case "deploy":
+                return await deploy(compute, client, functions, out);
+            case "status":
+                return await status(compute, client, functions, out);
+            case "diff":
+                return await diff(compute, client, functions, out);
+            case "drop":
+                return await drop(compute, client, functions, out);
+        }
+    } catch (error) {
+        out.error(error.message);
+        return 1;
+    } finally {
+        await client.end();
+    }
+}
+
+module.exports.main = main;
+module.exports.parseArguments = parseArguments;
+module.exports.loadFunctions = loadFunctions;
+module.exports.diffLines = diffLines;
+module.exports.writeMigration = writeMigration;
@@ -0,0 +1,411 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const acorn = require("acorn");
+const walk = require("acorn-walk");
+const { FunctionParser } = require("./function_parser.js");
+
+/**
+ * Finds the identifiers a function references but doesn't declare, and includes the helper functions,
+ * classes and constants they refer to into the deployed function.
+ * 
+ * The identifiers are resolved from the scope objects, such as the exports of a module. The helpers are
+ * analyzed the same way, so the helpers they call are included as well. The constants are copied by value
+ * when the function is deployed, thus, a change of a helper or a constant changes the function body,
+ * and the function is redeployed.
+ * 
+ * The dependencies are defined in a function declared at the end of the function body, and the first line
+ * of the body takes them from that function. The line numbers of the body don't change, so the errors are
+ * still mapped to the source file.
+ */
+class DependencyResolver {
+    static #ECMA_VERSION = "latest";
+
+    /**
+     * The ECMAScript built-in globals plv8 provides. The globals V8 adds on top of the standard, such as
+     * `console` or `WebAssembly`, depend on the embedder and are not listed.
+     */
+    static #JS_GLOBALS = [
+        "globalThis", "Infinity", "NaN", "undefined", "eval", "isFinite", "isNaN", "parseFloat", "parseInt",
+        "decodeURI", "decodeURIComponent", "encodeURI", "encodeURIComponent", "escape", "unescape",
+        "Object", "Function", "Array", "Number", "Boolean", "String", "Symbol", "BigInt", "Date", "RegExp",
+        "Error", "AggregateError", "EvalError", "RangeError", "ReferenceError", "SyntaxError", "TypeError", "URIError",
+        "Map", "Set", "WeakMap", "WeakSet", "WeakRef", "FinalizationRegistry", "Promise", "Proxy", "Reflect",
+        "JSON", "Math", "Intl", "ArrayBuffer", "DataView", "Int8Array", "Uint8Array", "Uint8ClampedArray",
+        "Int16Array", "Uint16Array", "Int32Array", "Uint32Array", "Float32Array", "Float64Array",
+        "BigInt64Array", "BigUint64Array"
+    ];
+
+    /** The globals plv8 provides to the functions, including the variables of the trigger functions. */
+    static #PLV8_GLOBALS = [
+        "plv8", "DEBUG5", "DEBUG4", "DEBUG3", "DEBUG2", "DEBUG1", "LOG", "INFO", "NOTICE", "WARNING", "ERROR",
+        "NEW", "OLD", "TG_NAME", "TG_WHEN", "TG_LEVEL", "TG_OP", "TG_RELID", "TG_TABLE_NAME", "TG_TABLE_SCHEMA",
+        "TG_ARGV", "arguments", "require"
+    ];
+
+    /** The function that defines the dependencies in the function body. */
+    static #DEPS_FUNCTION_NAME = "__pgc_deps";
+
+    /** The free identifiers of the analyzed functions, the key is the AST node of a function. */
+    static #freeIdentifiers = new WeakMap();
+
+    /** The parsed helpers, the key is a function or class object. */
+    static #helpers = new WeakMap();
+
+    /**
+     * Finds the identifiers the function references but doesn't declare, except the JavaScript and plv8 globals.
+     * 
+     * @param {Object} funcNode - The AST node of the function.
+     * @returns {Array<{name: string, start: number}>} The identifiers and their positions in the parsed source.
+     */
+    static findFreeIdentifiers(funcNode) {
+        let identifiers = DependencyResolver.#freeIdentifiers.get(funcNode);
+
+        if (identifiers == undefined) {
+            identifiers = DependencyResolver.#collectFreeIdentifiers(funcNode)
+                .filter(identifier => !DependencyResolver.#JS_GLOBALS.includes(identifier.name) &&
+                    !DependencyResolver.#PLV8_GLOBALS.includes(identifier.name));
+
+            DependencyResolver.#freeIdentifiers.set(funcNode, identifiers);
+        }
+
+        return identifiers;
+    }
+
+    /**
+     * Resolves the dependencies of a function.
+     * 
+     * @param {Function} plv8Func - The function object.
+     * @param {string} funcName - The function name used in the error messages.
+     * @param {Object} parsed - The parsed function, see `FunctionParser.parse()`.
+     * @param {Array<Object>} scopes - The objects the identifiers are resolved from, in the lookup order.
+     * @param {Array<string>} globals - Other identifiers available in the database sessions.
+     * @returns {{prefix: string, suffix: string, functions: Array<Object>, unresolved: Array<Object>}} The code
+     * to put at the beginning and at the end of the function body, both are empty if the function has no
+     * dependencies, the function and the included helpers (their `name`, `func`, `node`, `source` and
+     * `prefixLength`), and the identifiers that can't be resolved (their `name`, `owner` function and `start`
+     * position in the source of the owner).
+     * @throws {Error} If some values can't be included.
+     */
+    static resolve(plv8Func, funcName, parsed, scopes, globals) {
+        let deps = new Map();
+        let unresolved = [];
+        let functions = [];
+        let pending = [{
+            name: funcName, func: plv8Func, node: parsed.node, source: parsed.source, prefixLength: parsed.prefixLength
+        }];
+
+        while (pending.length > 0) {
+            const owner = pending.shift();
+
+            functions.push(owner);
+
+            for (const identifier of DependencyResolver.findFreeIdentifiers(owner.node)) {
+                const name = identifier.name;
+
+                if (deps.has(name) || globals.includes(name) || unresolved.some(item => item.name == name))
+                    continue;
+
+                const scope = scopes.find(scope => scope != undefined && Object.prototype.hasOwnProperty.call(scope, name));
+
+                if (scope == undefined) {
+                    unresolved.push({ name: name, owner: owner, start: identifier.start });
+                    continue;
+                }
+
+                const value = scope[name];
+
+                if (typeof (value) == "function") {
+                    const helper = DependencyResolver.#parseHelper(funcName, name, value);
+
+                    deps.set(name, helper.code);
+                    pending.push({
+                        name: name, func: value, node: helper.node, source: helper.source, prefixLength: helper.prefixLength
+                    });
+                } else {
+                    deps.set(name, "const " + name + " = " + DependencyResolver.#serialize(funcName, name, value, []) + ";");
+                }
+            }
+        }
+
+        if (deps.size == 0)
+            return { prefix: "", suffix: "", functions: functions, unresolved: unresolved };
+
+        const names = Array.from(deps.keys()).join(", ");
+
+        return {
+            prefix: "const { " + names + " } = " + DependencyResolver.#DEPS_FUNCTION_NAME + "(); ",
+            suffix: "\nfunction " + DependencyResolver.#DEPS_FUNCTION_NAME + "() {\n" +
+                Array.from(deps.values()).join("\n") + "\nreturn { " + names + " };\n}\n",
+            functions: functions,
+            unresolved: unresolved
+        };
+    }
+
+    /**
+     * Parses a helper function or class and builds the statement that defines it under the name it's referenced by.
+     */
+    static #parseHelper(funcName, name, value) {
+        let helper = DependencyResolver.#helpers.get(value);
+
+        if (helper == undefined) {
+            helper = DependencyResolver.#parseHelperSource(funcName, name, value);
+            DependencyResolver.#helpers.set(value, helper);
+        }
+
+        return { node: helper.node, source: helper.source, prefixLength: helper.prefixLength, code: helper.getCode(name) };
+    }
+
+    static #parseHelperSource(funcName, name, value) {
+        const source = value.toString();
+
+        if (/\{\s*\[native code\]\s*\}$/.test(source))
+            throw new Error("Function '" + funcName + "' references '" + name + "' that is a native or bound function, " +
+                "its source code is not available");
+
+        // Function declarations, function and arrow function expressions and classes
+        try {
+            const wrappedSource = "(" + source + "\n)";
+            const node = acorn.parse(wrappedSource, { ecmaVersion: DependencyResolver.#ECMA_VERSION }).body[0].expression;
+
+            return {
+                node: node,
+                source: wrappedSource,
+                prefixLength: 1,
+                getCode: (helperName) => (node.type == "FunctionExpression" && node.id != null && node.id.name == helperName) ?
+                    source : "const " + helperName + " = " + source + "\n;"
+            };
+        } catch (error) {
+            // Object and class methods are parsed below
+        }
+
+        let parsed;
+
+        try {
+            parsed = FunctionParser.parse(value);
+        } catch (error) {
+            throw new Error("Function '" + funcName + "' references '" + name + "' that can't be included: " + error.message);
+        }
+
+        return {
+            node: parsed.node,
+            source: parsed.source,
+            prefixLength: parsed.prefixLength,
+            getCode: (helperName) => "const " + helperName + " = Object.values({" + source + "\n})[0];"
+        };
+    }
+
+    /**
+     * Turns a constant into the JavaScript code creating an equal value.
+     */
+    static #serialize(funcName, path, value, seen) {
+        if (value === undefined)
+            return "undefined";
+
+        if (value === null || typeof (value) == "boolean" || typeof (value) == "string")
+            return JSON.stringify(value);
+
+        if (typeof (value) == "number")
+            return Object.is(value, -0) ? "-0" : String(value);
+
+        if (typeof (value) == "bigint")
+            return value.toString() + "n";
+
+        if (typeof (value) == "object" && !seen.includes(value)) {
+            seen = seen.concat([value]);
+
+            if (value instanceof Date)
+                return "new Date(" + value.getTime() + ")";
+
+            if (value instanceof RegExp)
+                return value.toString();
+
+            if (Array.isArray(value))
+                return "[" + value.map((item, i) => DependencyResolver.#serialize(funcName, path + "[" + i + "]", item, seen))
+                    .join(", ") + "]";
+
+            if (value instanceof Map)
+                return "new Map(" + DependencyResolver.#serialize(funcName, path, Array.from(value.entries()), seen) + ")";
+
+            if (value instanceof Set)
+                return "new Set(" + DependencyResolver.#serialize(funcName, path, Array.from(value.values()), seen) + ")";
+
+            const proto = Object.getPrototypeOf(value);
+
+            if (proto === Object.prototype || proto === null)
+                return "{" + Object.keys(value).map(key => JSON.stringify(key) + ": " +
+                    DependencyResolver.#serialize(funcName, path + "." + key, value[key], seen)).join(", ") + "}";
+        }
+
+        throw new Error("Function '" + funcName + "' references '" + path + "' that can't be included. Only functions, " +
+            "classes, primitives, dates, regular expressions and non-circular arrays, maps, sets and plain objects of " +
+            "such values are supported");
+    }
+
+    /**
+     * Walks the function with a chain of scopes. All the declarations of a scope are collected before its statements
+     * are visited, since the functions and variables can be used before they are declared.
+     */
+    static #collectFreeIdentifiers(funcNode) {
+        let identifiers = [];
+
+        const reference = (node, scope) => {
+            for (let current = scope; current != undefined; current = current.parent)
+                if (current.names.has(node.name))
+                    return;
+
+            identifiers.push({ name: node.name, start: node.start });
+        };
+
+        const newScope = (parent, names) => ({ parent: parent, names: new Set(names) });
+
+        walk.recursive(funcNode, newScope(undefined, []), {
+            Function(node, scope, c) {
+                let names = ["arguments"];
+
+                node.params.forEach(param => names = names.concat(DependencyResolver.#getBoundNames(param)));
+
+                // The deployed function is not defined under its own name
+                if (node.type == "FunctionExpression" && node.id != null && node !== funcNode)
+                    names.push(node.id.name);
+
+                if (node.body.type == "BlockStatement")
+                    names = names.concat(DependencyResolver.#getVarNames(node.body),
+                        DependencyResolver.#getLexicalNames(node.body.body));
+
+                const funcScope = newScope(scope, names);
+
+                node.params.forEach(param => c(param, funcScope, "Pattern"));
+                c(node.body, funcScope, node.expression ? "Expression" : "Statement");
+            },
+            BlockStatement(node, scope, c) {
+                const blockScope = newScope(scope, DependencyResolver.#getLexicalNames(node.body));
+
+                node.body.forEach(stmt => c(stmt, blockScope, "Statement"));
+            },
+            StaticBlock(node, scope, c) {
+                const blockScope = newScope(scope, DependencyResolver.#getLexicalNames(node.body).concat(
+                    DependencyResolver.#getVarNames(node)));
+
+                node.body.forEach(stmt => c(stmt, blockScope, "Statement"));
+            },
+            ForStatement(node, scope, c) {
+                walk.base.ForStatement(node, newScope(scope, DependencyResolver.#getLexicalNames([node.init])), c);
+            },
+            ForInStatement(node, scope, c) {
+                walk.base.ForInStatement(node, newScope(scope, DependencyResolver.#getLexicalNames([node.left])), c);
+            },
+            ForOfStatement(node, scope, c) {
+                walk.base.ForOfStatement(node, newScope(scope, DependencyResolver.#getLexicalNames([node.left])), c);
+            },
+            SwitchStatement(node, scope, c) {
+                c(node.discriminant, scope, "Expression");
+
+                const switchScope = newScope(scope, DependencyResolver.#getLexicalNames(
+                    node.cases.reduce((stmts, switchCase) => stmts.concat(switchCase.consequent), [])));
+
+                node.cases.forEach(switchCase => c(switchCase, switchScope));
+            },
+            CatchClause(node, scope, c) {
+                const catchScope = newScope(scope, node.param != null ? DependencyResolver.#getBoundNames(node.param) : []);
+
+                if (node.param != null)
+                    c(node.param, catchScope, "Pattern");
+
+                c(node.body, catchScope, "Statement");
+            },
+            Class(node, scope, c) {
+                const classScope = node.type == "ClassExpression" && node.id != null ? newScope(scope, [node.id.name]) : scope;
+
+                walk.base.Class(node, classScope, c);
+            },
+            Identifier(node, scope) {
+                reference(node, scope);
+            },
+            VariablePattern(node, scope) {
+                reference(node, scope);
+            }
+        });
+
+        return identifiers;
+    }
+
+    /**
+     * Returns the names declared with `var` and the function declarations of a function body,
+     * without descending into the nested functions.
+     */
+    static #getVarNames(body) {
+        let names = [];
+
+        walk.recursive(body, null, {
+            Function() { },
+            Class() { },
+            Expression() { },
+            FunctionDeclaration(node) {
+                names.push(node.id.name);
+            },
+            VariableDeclaration(node, state, c) {
+                if (node.kind == "var")
+                    node.declarations.forEach(decl => names = names.concat(DependencyResolver.#getBoundNames(decl.id)));
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * Returns the names declared with `let`, `const`, `class` and `function` by the statements of a block.
+     */
+    static #getLexicalNames(stmts) {
+        let names = [];
+
+        stmts.forEach(stmt => {
+            if (stmt == null)
+                return;
+
+            if (stmt.type == "VariableDeclaration" && stmt.kind != "var")
+                stmt.declarations.forEach(decl => names = names.concat(DependencyResolver.#getBoundNames(decl.id)));
+            else if ((stmt.type == "ClassDeclaration" || stmt.type == "FunctionDeclaration") && stmt.id != null)
+                names.push(stmt.id.name);
+        });
+
+        return names;
+    }
+
+    /**
+     * Returns the names bound by a declaration pattern, such as `{ a, b: [c, ...d] }`.
+     */
+    static #getBoundNames(pattern) {
+        switch (pattern.type) {
+            case "Identifier":
+                return [pattern.name];
+            case "ObjectPattern":
+                return pattern.properties.reduce((names, prop) =>
+                    names.concat(DependencyResolver.#getBoundNames(prop.type == "RestElement" ? prop.argument : prop.value)), []);
+            case "ArrayPattern":
+                return pattern.elements.reduce((names, element) =>
+                    element != null ? names.concat(DependencyResolver.#getBoundNames(element)) : names, []);
+            case "RestElement":
+                return DependencyResolver.#getBoundNames(pattern.argument);
+            case "AssignmentPattern":
+                return DependencyResolver.#getBoundNames(pattern.left);
+            default:
+                return [];
+        }
+    }
+}
+
+module.exports.DependencyResolver = DependencyResolver;
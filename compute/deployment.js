@@ -15,12 +15,9 @@
  */
 
 const crypto = require('crypto')
-
-let DEBUG = false;
-
-if (!DEBUG) {
-    console.debug = function () { }
-}
+const { escapeIdentifier, escapeLiteral } = require('pg')
+const { Transaction } = require('./transaction.js')
+const { ModuleBundler } = require('./module_bundler.js')
 
 /**
  * Deployment mode for database functions. 
@@ -37,6 +34,36 @@ class DeploymentMode {
      * API then allows these functions to be invoked seamlessly from the application logic.
      */
     static MANUAL = "MANUAL";
+
+    /**
+     * Functions are executed in Node.js with an emulated plv8 API instead of the database. 
+     * The SQL queries of the functions are passed to a user-provided handler. This mode is
+     * intended for unit tests that don't have access to a database.
+     */
+    static LOCAL = "LOCAL";
+}
+
+/**
+ * Defines what happens in the AUTO deployment mode when a function, that has already been verified
+ * by this application instance, is redeployed with a different implementation by another instance.
+ */
+class ConflictPolicy {
+    /**
+     * Run the function version deployed by the other instance. This is the default policy. 
+     * It suits rolling deployments when new application instances deploy a newer function version.
+     */
+    static USE_DEPLOYED = "USE_DEPLOYED";
+
+    /**
+     * Redeploy the function version of this instance. If several instances with different versions
+     * use this policy, they will keep redeploying the function over each other.
+     */
+    static REDEPLOY = "REDEPLOY";
+
+    /**
+     * Refuse to execute the function and throw an error.
+     */
+    static REFUSE = "REFUSE";
 }
 
 /**
@@ -49,7 +76,56 @@ class Deployment {
         "(name text NOT NULL," +
         "args text," +
         "body_hashcode text," +
-        "PRIMARY KEY(name, args));";
+        "returns text," +
+        "trigger_table text," +
+        "trigger text," +
+        "attributes text," +
+        "PRIMARY KEY(name, args))";
+
+    /** Every deployed function version is kept in the history table. */
+    static #HISTORY_TABLE_NAME = "pg_compute_history";
+    static #HISTORY_TABLE_COLUMNS =
+        "(name text NOT NULL," +
+        "args text," +
+        "version int NOT NULL," +
+        "body text NOT NULL," +
+        "body_hashcode text NOT NULL," +
+        "returns text," +
+        "deployed_at timestamptz NOT NULL DEFAULT now()," +
+        "application_name text," +
+        "attributes text," +
+        "PRIMARY KEY(name, version))";
+
+    /** 
+     * The sequence that is incremented on every change of the meta table. Application instances
+     * compare its value with the last seen one to find out that functions were changed by other instances.
+     */
+    static #GENERATION_SEQUENCE_NAME = "pg_compute_generation";
+
+    /** The modules the functions can require, see `ModuleBundler`. */
+    static #MODULES_TABLE_NAME = "pg_compute_modules";
+    static #MODULES_TABLE_COLUMNS =
+        "(name text NOT NULL," +
+        "source text NOT NULL," +
+        "hashcode text NOT NULL," +
+        "deployed_at timestamptz NOT NULL DEFAULT now()," +
+        "application_name text," +
+        "PRIMARY KEY(name))";
+
+    /** The return type of functions that don't declare one. */
+    static #DEFAULT_RETURN_TYPE = "JSON";
+
+    /** How often (in milliseconds) to check if functions were changed by other instances. */
+    static #DEFAULT_SYNC_INTERVAL = 5000;
+
+    /** The function names that earlier versions created without quoting, see `#upgradeIdentifiers()`. */
+    static #LEGACY_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+    /** The savepoint used for deployments within application transactions. */
+    static #SAVEPOINT_NAME = "pg_compute_deployment";
+
+    /** The logger used when none is provided, it discards the messages. */
+    static #SILENT_LOGGER = { debug() { }, info() { }, warn() { }, error() { } };
 
     /** Deployment mode. */
     #deploymentMode;
@@ -60,26 +136,94 @@ class Deployment {
     /** Full meta table name */
     #deploymentTableFullName;
 
+    /** Full history table name */
+    #historyTableFullName;
+
+    /** Full generation sequence name */
+    #generationSequenceFullName;
+
+    /** Full modules table name */
+    #modulesTableFullName;
+
     /** */
     #deploymentTable = {};
 
-    constructor(mode = DeploymentMode.AUTO, schema = "public") {
+    /**
+     * The versions of the local functions verified by this instance, see `#getLocalVersion()`. A function is
+     * checked again once its local version changes, and it's redeployed then regardless of the conflict policy.
+     */
+    #verifiedFunctions = {};
+
+    /** The names the functions are called by in the MANUAL mode, see `getManualName()`. */
+    #manualNames = {};
+
+    /** The generation of the loaded meta table. */
+    #generation;
+
+    /** The time of the last generation check. */
+    #lastSyncTime = 0;
+
+    /** The conflict policy. */
+    #conflictPolicy;
+
+    /** The generation check interval. */
+    #syncInterval;
+
+    /** The logger. */
+    #logger;
+
+    /** Receives the deployment events. */
+    #onEvent;
+
+    /**
+     * @param {DeploymentMode} mode - The deployment mode.
+     * @param {string} schema - The schema name.
+     * @param {Object} [options] - Deployment options.
+     * @param {ConflictPolicy} [options.conflictPolicy] - What to do when a function was redeployed by another
+     * application instance, `ConflictPolicy.USE_DEPLOYED` by default.
+     * @param {number} [options.syncInterval] - How often (in milliseconds) to check if functions were changed
+     * by other application instances, 5000 by default. With 0, the check happens before every function call.
+     * @param {Object} [options.logger] - The logger with the `debug`, `info`, `warn` and `error` methods.
+     * The messages are discarded by default.
+     * @param {function(string, Object)} [options.onEvent] - Receives the name and the details of the `deploy`,
+     * `redeploy` and `skip` events.
+     */
+    constructor(mode = DeploymentMode.AUTO, schema = "public", options = {}) {
         this.#deploymentMode = mode;
         this.#schema = schema;
+        this.#conflictPolicy = options.conflictPolicy != undefined ? options.conflictPolicy : ConflictPolicy.USE_DEPLOYED;
+        this.#syncInterval = options.syncInterval != undefined ? options.syncInterval : Deployment.#DEFAULT_SYNC_INTERVAL;
+        this.#logger = options.logger != undefined ? options.logger : Deployment.#SILENT_LOGGER;
+        this.#onEvent = options.onEvent != undefined ? options.onEvent : function () { };
     }
 
     async init(connection) {
-        console.debug("Initialized '" + this.#deploymentMode + "' deployment mode for schema '" + this.#schema + "'");
+        this.#logger.debug("Initialized '" + this.#deploymentMode + "' deployment mode for schema '" + this.#schema + "'");
 
         try {
 
             this.#schema = connection.escapeIdentifier(this.#schema);
             this.#deploymentTableFullName = this.#schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME;
+            this.#generationSequenceFullName = this.#schema + "." + Deployment.#GENERATION_SEQUENCE_NAME;
+            this.#historyTableFullName = this.#schema + "." + Deployment.#HISTORY_TABLE_NAME;
+            this.#modulesTableFullName = this.#schema + "." + Deployment.#MODULES_TABLE_NAME;
 
-            await connection.query("CREATE SCHEMA IF NOT EXISTS " + this.#schema);
+            // 'IF NOT EXISTS' clauses are not safe if several application instances start simultaneously
+            await Deployment.#begin(connection);
 
-            await connection.query("CREATE TABLE IF NOT EXISTS " +
-                this.#deploymentTableFullName + Deployment.#DEPLOYMENT_TABLE_COLUMNS);
+            try {
+                await this.#lock(connection, Deployment.#DEPLOYMENT_TABLE_NAME);
+
+                for (const stmt of Deployment.#getInitStatements(this.#schema))
+                    await connection.query(stmt);
+
+                await this.#upgradeIdentifiers(connection);
+
+                await Deployment.#commit(connection);
+            } catch (error) {
+                await this.#rollback(connection);
+                throw error;
+            }
 
             await this.#loadDeploymentTable(connection);
         } catch (error) {
@@ -88,48 +232,937 @@ class Deployment {
         }
     }
 
-    async checkExists(connection, funcName, funcArgs, funcBody) {
-        if (this.#deploymentMode == DeploymentMode.MANUAL) {
-            console.debug("Skipping the function validation for the 'MANUAL' deployment mode");
+    /**
+     * Earlier versions didn't quote the function and argument names, thus, Postgres stored them in lower case.
+     * In the AUTO mode, the deployed functions whose names have upper-case letters are created again under
+     * the exact names they are called by now. The legacy functions are left for the SQL code that might call them
+     * by the lower-case names, and their triggers are renamed, so that they are replaced once the trigger is
+     * recreated. The functions whose argument names have upper-case letters, but the function name doesn't,
+     * are replaced with the functions that have the exact argument names, since an argument can't be renamed.
+     * plv8 passed such arguments under the lower-case names, so the functions couldn't read them anyway.
+     * 
+     * The MANUAL mode leaves the functions as they are and calls the legacy ones by the lower-case names,
+     * see `getManualName()`.
+     */
+    async #upgradeIdentifiers(connection) {
+        if (this.#deploymentMode != DeploymentMode.AUTO)
             return;
+
+        const result = await connection.query("SELECT * FROM " + this.#deploymentTableFullName +
+            " WHERE name <> lower(name) OR args <> lower(args);");
+
+        let upgraded = false;
+
+        for (const row of result.rows) {
+            // The functions with other names couldn't be created without quoting
+            if (!Deployment.#LEGACY_NAME_PATTERN.test(row['name']))
+                continue;
+
+            const argTypes = Deployment.getArgTypes(row['args']);
+            const argTypesList = "(" + (argTypes != undefined ? argTypes.join(", ") : "") + ")";
+            const legacySignature = this.#schema + "." + row['name'] + argTypesList;
+
+            const procResult = await connection.query({
+                text: "SELECT proname, proargnames, prosrc, to_regprocedure($2) IS NOT NULL AS upgraded " +
+                    "FROM pg_proc WHERE oid = to_regprocedure($1);",
+                values: [legacySignature, this.#schema + "." + escapeIdentifier(row['name']) + argTypesList]
+            });
+
+            if (procResult.rows.length == 0)
+                continue;
+
+            const proc = procResult.rows[0];
+            const deployedArgNames = proc['proargnames'] != null ? proc['proargnames'].join(",") : "";
+            const createStmt = Deployment.#getCreateStatement(this.#schema, row['name'], row['args'], proc['prosrc'],
+                row['returns'], row['attributes'] != null ? row['attributes'] : undefined);
+
+            if (proc['proname'] != row['name']) {
+                if (proc['upgraded'])
+                    continue;
+
+                await connection.query(createStmt);
+
+                if (row['trigger_table'] != null)
+                    await this.#renameLegacyTrigger(connection, row['name'], row['trigger_table']);
+
+                this.#logger.info("Function '" + Deployment.#getFunctionKey(row['name'], row['args']) + "' has been " +
+                    "created under the exact name. The legacy function '" + proc['proname'] + "' is left in place");
+            } else if (deployedArgNames != Deployment.#getArgNames(row['args'])) {
+                await connection.query("drop function " + legacySignature + ";");
+                await connection.query(createStmt);
+
+                this.#logger.info("Function '" + Deployment.#getFunctionKey(row['name'], row['args']) + "' has been " +
+                    "replaced to keep the case of its argument names");
+            } else {
+                continue;
+            }
+
+            upgraded = true;
+        }
+
+        if (upgraded)
+            await this.#nextGeneration(connection);
+    }
+
+    /**
+     * Renames the trigger created by earlier versions under the lower-case function name to the exact name.
+     * The table name was passed without quoting back then.
+     */
+    async #renameLegacyTrigger(connection, funcName, table) {
+        const result = await connection.query({
+            text: "SELECT to_regclass($2)::text AS table_name FROM pg_trigger WHERE tgname = $1 AND tgrelid = to_regclass($2);",
+            values: [funcName.toLowerCase(), table]
+        });
+
+        if (result.rows.length > 0)
+            await connection.query("alter trigger " + escapeIdentifier(funcName.toLowerCase()) + " on " +
+                result.rows[0]['table_name'] + " rename to " + escapeIdentifier(funcName) + ";");
+    }
+
+    /**
+     * Returns the name the function is called by in the MANUAL mode. The functions created manually without
+     * quoting have the names folded to lower case by Postgres. Such a function is called by the folded name,
+     * unless the schema has a function with the exact name, for instance, pre-deployed with `deploy()`
+     * or a migration.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @returns {string} The exact or the folded function name.
+     */
+    async getManualName(connection, funcName) {
+        if (this.#manualNames[funcName] != undefined)
+            return this.#manualNames[funcName];
+
+        const foldedName = funcName.toLowerCase();
+
+        if (foldedName == funcName || !Deployment.#LEGACY_NAME_PATTERN.test(funcName))
+            return funcName;
+
+        const result = await connection.query({
+            name: "pg_compute_manual_name_" + this.#deploymentTableFullName,
+            text: "SELECT proname FROM pg_proc WHERE pronamespace = $1::regnamespace AND proname IN ($2, $3);",
+            values: [this.#schema, funcName, foldedName]
+        });
+
+        const names = result.rows.map(row => row['proname']);
+
+        // The function might be created later, thus, the name is remembered only once it's found
+        if (names.length == 0)
+            return foldedName;
+
+        this.#manualNames[funcName] = names.includes(funcName) ? funcName : foldedName;
+
+        return this.#manualNames[funcName];
+    }
+
+    /**
+     * Makes sure the function is deployed and its implementation is up to date.
+     * 
+     * Functions are identified by the name and the signature, thus, several overloads of a function with the
+     * same name can coexist. Overloads must differ in the argument names or count. A deployed overload with
+     * the same argument names but different types is considered a previous version of the function
+     * and is dropped when the function is redeployed, unless this instance still uses that overload.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @param {string} funcArgs - The function arguments in the `name type, ...` format.
+     * @param {string} funcBody - The function body.
+     * @param {Object} [options] - Additional function properties.
+     * @param {string} [options.returns] - The Postgres return type, `JSON` by default.
+     * @param {string} [options.attributes] - The function attributes, such as `immutable parallel safe`, put after
+     * the language of the `create function` statement. The attributes are a part of the function hash code.
+     * @param {boolean} [options.declaredArgs] - Whether the types of all the arguments were declared explicitly.
+     * The function is redeployed when the declared types differ from the types of the deployed function.
+     * The inferred types are compared only on the first deployment. 
+     * @param {Object} [options.trigger] - The trigger the function is attached to, with the `table`, `timing`,
+     * `events` and `forEach` fields. The trigger is recreated along with the function.
+     * @returns {string | undefined} The arguments of the deployed function or `undefined` in the MANUAL mode.
+     */
+    async checkExists(connection, funcName, funcArgs, funcBody, options = {}) {
+        if (this.#deploymentMode == DeploymentMode.MANUAL) {
+            this.#logger.debug("Skipping the function validation for the 'MANUAL' deployment mode");
+            this.#onEvent("skip", { functionName: funcName, args: funcArgs, reason: "manual" });
+            return undefined;
         }
 
-        let funcRecord = this.#deploymentTable[funcName];
+        const deployed = await this.#ensureDeployed(connection, funcName, funcArgs, funcBody, options);
+
+        return deployed.args;
+    }
+
+    /**
+     * Deploys the function regardless of the deployment mode. Used to pre-deploy functions
+     * for the MANUAL mode. The parameters are the same as for `checkExists()`.
+     * 
+     * @returns {{args: string, action: string}} The arguments of the deployed function and the action
+     * taken: `created`, `redeployed` or `unchanged`.
+     */
+    async deploy(connection, funcName, funcArgs, funcBody, options = {}) {
+        const deployed = await this.#ensureDeployed(connection, funcName, funcArgs, funcBody, options);
+
+        // The MANUAL mode calls the pre-deployed function by the exact name
+        this.#manualNames[funcName] = funcName;
+
+        return deployed;
+    }
+
+    async #ensureDeployed(connection, funcName, funcArgs, funcBody, options) {
+        await this.#syncDeploymentTable(connection);
 
         if (funcArgs == undefined || funcArgs == null)
             funcArgs = "";
 
-        if (funcRecord && funcRecord.checked) {
-            console.debug("Skipping function impl check. Function '" + funcName + "' has already been verified during this session.");
-            return;
+        const funcKey = Deployment.#getFunctionKey(funcName, funcArgs);
+        const funcReturns = options.returns != undefined ? options.returns : Deployment.#DEFAULT_RETURN_TYPE;
+        const funcAttributes = Deployment.#getAttributes(options.attributes);
+        const trigger = this.#getTrigger(funcName, options.trigger);
+
+        const bodyHashCode = Deployment.#getHashCode(funcBody, funcAttributes);
+        const localVersion = Deployment.#getLocalVersion(bodyHashCode, funcReturns);
+
+        let funcRecord = this.#deploymentTable[funcKey];
+
+        // The inferred types of the current call might differ from the types of the deployed function,
+        // the same is true if another application instance has redeployed the function with other types
+        if (funcRecord == undefined && (!options.declaredArgs || this.#verifiedFunctions[funcKey] != undefined))
+            funcRecord = this.#findFunctionByArgNames(funcName, funcArgs);
+
+        const deployedKey = funcRecord != undefined ? Deployment.#getFunctionKey(funcName, funcRecord['args']) : funcKey;
+        const verifiedVersion = this.#verifiedFunctions[funcKey] != undefined ? this.#verifiedFunctions[funcKey] :
+            this.#verifiedFunctions[deployedKey];
+
+        // The function is checked again if it's redefined in this process, for instance, with define()
+        if (funcRecord && funcRecord.checked && verifiedVersion == localVersion &&
+            funcRecord['trigger'] == trigger.statement) {
+            this.#logger.debug("Skipping function impl check. Function '" + funcKey + "' has already been verified during this session.");
+            this.#onEvent("skip", { functionName: funcName, args: funcRecord['args'], reason: "verified" });
+            return { args: funcRecord['args'], action: "unchanged" };
         }
 
-        const bodyHashCode = crypto.createHash('md5').update(funcBody).digest("hex");
+        let action = "unchanged";
 
         if (funcRecord == undefined) {
-            await this.#createFunction(connection, funcName, funcArgs, funcBody, false);
+            funcRecord = await this.#createFunction(connection, funcName, funcArgs, funcBody, funcReturns, funcAttributes,
+                undefined, trigger);
+            action = "created";
+
+            this.#logger.info("Function '" + funcKey + "' has been deployed");
+            this.#onEvent("deploy", { functionName: funcName, args: funcRecord['args'] });
+
+        } else if (funcRecord['bodyHashCode'] != bodyHashCode
+            || (options.declaredArgs && funcRecord['args'] != funcArgs)
+            || funcRecord['returns'].toLowerCase() != funcReturns.toLowerCase()
+            || funcRecord['trigger'] != trigger.statement) {
+
+            const verified = verifiedVersion != undefined;
 
-            console.debug("Function '" + funcName + "' has been deployed");
+            // The function was changed by this instance since the last check, for instance, its attributes
+            // were redefined with define(), rather than by another application instance or rolled back
+            const changedLocally = verified && verifiedVersion != localVersion;
 
-        } else if ((funcRecord['args'] != funcArgs && funcRecord['bodyHashCode'] != bodyHashCode)
-            || funcRecord['bodyHashCode'] != bodyHashCode) {
+            // An instance that hasn't verified the function yet deploys its version, unless that version has been
+            // deployed and replaced before, for instance, an old instance restarts during a rolling deployment
+            const outdated = !verified && await this.#isReplacedVersion(connection, funcName, bodyHashCode);
 
-            await this.#createFunction(connection, funcName, funcArgs, funcBody, true);
+            // Changed trigger options are always applied, they are passed explicitly with every trigger deployment
+            if ((!verified && !outdated) || changedLocally || this.#conflictPolicy == ConflictPolicy.REDEPLOY ||
+                funcRecord['trigger'] != trigger.statement) {
+                funcRecord = await this.#createFunction(connection, funcName, funcArgs, funcBody, funcReturns,
+                    funcAttributes, funcRecord['args'], trigger);
+                action = "redeployed";
 
-            console.debug("Function '" + funcName + "' has been redeployed");
+                this.#logger.info("Function '" + funcKey + "' has been redeployed");
+                this.#onEvent("redeploy", { functionName: funcName, args: funcRecord['args'] });
+            } else if (this.#conflictPolicy == ConflictPolicy.REFUSE) {
+                throw new Error("Function '" + funcName + "' has been redeployed by another application instance " +
+                    "with a different implementation. Refusing to execute it due to the '" + ConflictPolicy.REFUSE + "' conflict policy");
+            } else {
+                this.#logger.warn("Function '" + funcName + "' has been redeployed by another application instance. " +
+                    "Using the deployed version due to the '" + ConflictPolicy.USE_DEPLOYED + "' conflict policy");
+                this.#onEvent("skip", { functionName: funcName, args: funcRecord['args'], reason: "conflict" });
+            }
         } else {
-            console.debug("Function '" + funcName + "' exists");
+            this.#logger.debug("Function '" + funcKey + "' exists");
+            this.#onEvent("skip", { functionName: funcName, args: funcRecord['args'], reason: "unchanged" });
+        }
+
+        // No need to compare the function logic changes next time until the function
+        // is changed by another application instance (see #syncDeploymentTable).
+        funcRecord.checked = true;
+        this.#verifiedFunctions[Deployment.#getFunctionKey(funcName, funcRecord['args'])] = localVersion;
+
+        return { args: funcRecord['args'], action: action };
+    }
+
+    /**
+     * Checks if the version of the function was deployed before and then replaced by another version.
+     */
+    async #isReplacedVersion(connection, funcName, bodyHashCode) {
+        const result = await connection.query({
+            name: "pg_compute_history_hashcode_" + this.#historyTableFullName,
+            text: "SELECT 1 FROM " + this.#historyTableFullName + " WHERE name = $1 and body_hashcode = $2 LIMIT 1;",
+            values: [funcName, bodyHashCode]
+        });
+
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Makes the instance reload the meta table and verify the functions again on the next call.
+     * Used when a deployment or a transaction that might have deployed functions is rolled back.
+     */
+    invalidate() {
+        this.#generation = undefined;
+        this.#lastSyncTime = 0;
+    }
+
+    /**
+     * Remembers the verified functions when a transaction or a savepoint that might deploy functions starts.
+     * Returns the function to call if the transaction or the savepoint is rolled back. It forgets the functions
+     * verified or deployed since the checkpoint, so they are verified again against the reloaded meta table.
+     */
+    checkpoint() {
+        const verifiedFunctions = Object.assign({}, this.#verifiedFunctions);
+
+        return () => {
+            for (const funcKey of Object.keys(this.#verifiedFunctions)) {
+                if (this.#verifiedFunctions[funcKey] != verifiedFunctions[funcKey])
+                    delete this.#verifiedFunctions[funcKey];
+            }
+
+            this.invalidate();
+        };
+    }
+
+    /**
+     * Compares the local function version with the deployed one.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @param {string} funcArgs - The function arguments in the `name type, ...` format.
+     * @param {string} funcBody - The function body.
+     * @param {Object} [options] - Additional function properties, see `checkExists()`.
+     * @returns {Object} The status with the `state` field set to `deployed` (the deployed version is
+     * up to date), `changed` or `missing`. The `deployedBody` field holds the body of the function
+     * that is currently stored in the database.
+     */
+    async getStatus(connection, funcName, funcArgs, funcBody, options = {}) {
+        await this.#loadFunctionRecords(connection, funcName);
+
+        if (funcArgs == undefined || funcArgs == null)
+            funcArgs = "";
+
+        const funcReturns = options.returns != undefined ? options.returns : Deployment.#DEFAULT_RETURN_TYPE;
+        const bodyHashCode = Deployment.#getHashCode(funcBody, Deployment.#getAttributes(options.attributes));
+
+        let funcRecord = this.#deploymentTable[Deployment.#getFunctionKey(funcName, funcArgs)];
+
+        if (funcRecord == undefined)
+            funcRecord = this.#findFunctionByArgNames(funcName, funcArgs);
+
+        const status = {
+            "name": funcName,
+            "args": funcArgs,
+            "localHashCode": bodyHashCode,
+            "deployedArgs": funcRecord != undefined ? funcRecord['args'] : undefined,
+            "deployedHashCode": funcRecord != undefined ? funcRecord['bodyHashCode'] : undefined,
+            "deployedBody": undefined
+        };
+
+        if (funcRecord == undefined) {
+            status.state = "missing";
+            return status;
+        }
+
+        const result = await connection.query({
+            text: "SELECT prosrc FROM pg_proc WHERE oid = to_regprocedure($1)",
+            values: [this.#getProcedureSignature(funcName, funcRecord['args'])]
+        });
+
+        if (result.rows.length > 0)
+            status.deployedBody = result.rows[0]['prosrc'];
+
+        if (status.deployedBody == undefined)
+            status.state = "missing";
+        else if (funcRecord['bodyHashCode'] != bodyHashCode || funcRecord['args'] != funcArgs
+            || funcRecord['returns'].toLowerCase() != funcReturns.toLowerCase())
+            status.state = "changed";
+        else
+            status.state = "deployed";
+
+        return status;
+    }
+
+    /**
+     * Drops all the overloads of the function and removes them from the meta table.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @returns {Array<string>} The arguments of the dropped overloads.
+     */
+    async drop(connection, funcName) {
+        let droppedArgs = [];
+
+        await Deployment.#begin(connection);
+
+        try {
+            await this.#lock(connection, funcName);
+            await this.#loadFunctionRecords(connection, funcName);
+
+            const records = Object.values(this.#deploymentTable).filter(record => record['name'] == funcName);
+
+            for (const record of records) {
+                await this.#dropFunction(connection, record);
+                droppedArgs.push(record['args']);
+            }
+
+            if (records.length > 0)
+                await this.#nextGeneration(connection);
+
+            await Deployment.#commit(connection);
+        } catch (error) {
+            await this.#rollback(connection);
+            throw error;
+        }
+
+        droppedArgs.forEach(args => {
+            delete this.#deploymentTable[Deployment.#getFunctionKey(funcName, args)];
+            delete this.#verifiedFunctions[Deployment.#getFunctionKey(funcName, args)];
+        });
+
+        this.#logger.info("Function '" + funcName + "' has been dropped");
+
+        return droppedArgs;
+    }
+
+    /**
+     * Returns all the functions registered in the meta table.
+     * 
+     * @param {Client} connection - A database connection.
+     * @returns {Array<Object>} The functions sorted by the name and arguments. Every function has the `name`, `args`,
+     * `returns`, `bodyHashCode`, `version` and `deployedAt` (of the latest deployment), `triggerTable`, `trigger`
+     * and `exists` (whether the function exists in `pg_proc`) fields.
+     */
+    async list(connection) {
+        const result = await connection.query({
+            name: "pg_compute_list_" + this.#deploymentTableFullName,
+            text: "SELECT m.*, h.version, h.deployed_at FROM " + this.#deploymentTableFullName + " m " +
+                "LEFT JOIN LATERAL (SELECT version, deployed_at FROM " + this.#historyTableFullName + " " +
+                "WHERE name = m.name AND args = m.args ORDER BY version DESC LIMIT 1) h ON true " +
+                "ORDER BY m.name, m.args;"
+        });
+
+        if (result.rows.length == 0)
+            return [];
+
+        const procResult = await connection.query({
+            text: "SELECT to_regprocedure(s.signature) IS NOT NULL AS exists " +
+                "FROM unnest($1::text[]) WITH ORDINALITY AS s(signature, i) ORDER BY s.i;",
+            values: [result.rows.map(row => this.#getProcedureSignature(row['name'], row['args']))]
+        });
+
+        return result.rows.map((row, i) => {
+            return Object.assign(Deployment.#toRecord(row), {
+                "version": row["version"] != null ? row["version"] : undefined,
+                "deployedAt": row["deployed_at"] != null ? row["deployed_at"] : undefined,
+                "exists": procResult.rows[i]["exists"]
+            });
+        });
+    }
+
+    /**
+     * Drops the functions registered in the meta table whose names are not in the keep list, and removes them
+     * from the meta table. The functions are dropped in a single transaction. The history of the dropped functions
+     * is preserved.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {Array<string>} keepNames - The names of the functions to keep, all their overloads are kept.
+     * @param {boolean} [dryRun] - If true, only returns the functions that would be dropped.
+     * @returns {Array<Object>} The dropped functions in the format of `list()`.
+     */
+    async prune(connection, keepNames, dryRun = false) {
+        if (dryRun)
+            return (await this.list(connection)).filter(record => !keepNames.includes(record['name']));
+
+        let pruned;
+
+        await Deployment.#begin(connection);
+
+        try {
+            // Hold the locks of the pruned functions, so that they are not redeployed concurrently
+            for (const name of new Set((await this.list(connection)).map(record => record['name'])))
+                if (!keepNames.includes(name))
+                    await this.#lock(connection, name);
+
+            // The list is read again since it might have been changed while the locks were awaited
+            pruned = (await this.list(connection)).filter(record => !keepNames.includes(record['name']));
+
+            for (const record of pruned)
+                await this.#dropFunction(connection, record);
+
+            if (pruned.length > 0)
+                await this.#nextGeneration(connection);
+
+            await Deployment.#commit(connection);
+        } catch (error) {
+            await this.#rollback(connection);
+            throw error;
         }
 
-        // No need to compare the function logic changes next time as long as
-        // an application instance needs to be restarted to use the new function version at runtime.
-        //
-        // This ticket will adress scenarious when a function is changed by other app instances:
-        // https://github.com/dmagda/pg_compute_nodejs/issues/4
-        this.#deploymentTable[funcName].checked = true;
+        pruned.forEach(record => {
+            delete this.#deploymentTable[Deployment.#getFunctionKey(record['name'], record['args'])];
+            delete this.#verifiedFunctions[Deployment.#getFunctionKey(record['name'], record['args'])];
+
+            this.#logger.info("Function '" + Deployment.#getFunctionKey(record['name'], record['args']) + "' has been pruned");
+        });
+
+        return pruned;
+    }
+
+    /**
+     * Stores the modules in the modules table and deploys the loader function that reads them in the database
+     * sessions. The modules are deployed in a single transaction, the modules whose hash codes haven't changed
+     * are left as is.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {Array<Object>} bundles - The modules with the `name`, `source` and `hashCode` fields,
+     * see `ModuleBundler.bundleAll()`.
+     * @returns {Array<{name: string, action: string}>} The modules and the actions taken: `created`, `redeployed`
+     * or `unchanged`.
+     */
+    async deployModules(connection, bundles) {
+        const loaderName = this.#schema + "." + escapeIdentifier(ModuleBundler.LOADER_FUNCTION_NAME);
+        const loaderBody = ModuleBundler.getLoaderBody(this.#modulesTableFullName);
+        let deployed = [];
+
+        await Deployment.#begin(connection);
+
+        try {
+            await this.#lock(connection, Deployment.#MODULES_TABLE_NAME);
+
+            const loaderResult = await connection.query({
+                text: "SELECT prosrc FROM pg_proc WHERE oid = to_regprocedure($1);",
+                values: [loaderName + "()"]
+            });
+
+            if (loaderResult.rows.length == 0 || loaderResult.rows[0]['prosrc'] != loaderBody) {
+                await connection.query("create or replace function " + loaderName + "() returns void as $$" +
+                    loaderBody + "$$ language plv8;");
+
+                this.#logger.debug("Module loader '" + loaderName + "' has been deployed");
+            }
+
+            const result = await connection.query({
+                text: "SELECT name, hashcode FROM " + this.#modulesTableFullName + " WHERE name = ANY($1);",
+                values: [bundles.map(bundle => bundle.name)]
+            });
+
+            for (const bundle of bundles) {
+                const row = result.rows.find(row => row['name'] == bundle.name);
+                let action = "unchanged";
+
+                if (row == undefined || row['hashcode'] != bundle.hashCode) {
+                    await connection.query({
+                        text: "INSERT INTO " + this.#modulesTableFullName +
+                            " (name, source, hashcode, application_name) VALUES($1, $2, $3, current_setting('application_name')) " +
+                            "ON CONFLICT (name) DO UPDATE SET source = EXCLUDED.source, hashcode = EXCLUDED.hashcode, " +
+                            "deployed_at = now(), application_name = EXCLUDED.application_name;",
+                        values: [bundle.name, bundle.source, bundle.hashCode]
+                    });
+
+                    action = row == undefined ? "created" : "redeployed";
+                }
+
+                deployed.push({ name: bundle.name, action: action });
+            }
+
+            await Deployment.#commit(connection);
+        } catch (error) {
+            await this.#rollback(connection);
+            throw error;
+        }
+
+        deployed.forEach(module => {
+            if (module.action == "unchanged") {
+                this.#logger.debug("Module '" + module.name + "' exists");
+                this.#onEvent("skip", { moduleName: module.name, reason: "unchanged" });
+            } else {
+                this.#logger.info("Module '" + module.name + "' has been " + (module.action == "created" ? "deployed" : "redeployed"));
+                this.#onEvent(module.action == "created" ? "deploy" : "redeploy", { moduleName: module.name });
+            }
+        });
+
+        return deployed;
+    }
+
+    /**
+     * Returns the function signature accepted by `to_regprocedure()`.
+     */
+    #getProcedureSignature(funcName, funcArgs) {
+        const argTypes = Deployment.getArgTypes(funcArgs);
+
+        return this.#schema + "." + escapeIdentifier(funcName) + "(" + (argTypes != undefined ? argTypes.join(", ") : "") + ")";
+    }
+
+    /**
+     * Finds a deployed overload of the function with the same argument names.
+     */
+    #findFunctionByArgNames(funcName, funcArgs) {
+        const argNames = Deployment.#getArgNames(funcArgs);
+
+        return Object.values(this.#deploymentTable).find(record =>
+            record['name'] == funcName && Deployment.#getArgNames(record['args']) == argNames);
+    }
+
+    /**
+     * Finds the overloads that are previous versions of the function being deployed.
+     * 
+     * @param {string} [replacedArgs] - The arguments of the overload that is replaced with the new version.
+     */
+    #findStaleOverloads(funcName, funcArgs, replacedArgs) {
+        const argNames = Deployment.#getArgNames(funcArgs);
+
+        return Object.values(this.#deploymentTable).filter(record =>
+            record['name'] == funcName && record['args'] != funcArgs &&
+            Deployment.#getArgNames(record['args']) == argNames &&
+            (record['args'] === replacedArgs ||
+                this.#verifiedFunctions[Deployment.#getFunctionKey(funcName, record['args'])] == undefined));
+    }
+
+    static #getFunctionKey(funcName, funcArgs) {
+        return funcName + "(" + funcArgs + ")";
+    }
+
+    static #getArgNames(funcArgs) {
+        if (funcArgs == undefined || funcArgs == "")
+            return "";
+
+        return Deployment.#splitArgs(funcArgs).map(arg => arg.split(/\s+/)[0]).join(",");
+    }
+
+    /**
+     * Generates the SQL migration that deploys the functions exactly as the AUTO mode does. After the migration,
+     * the AUTO mode sees the functions as deployed. The `down` part of the migration drops the functions.
+     * 
+     * @param {string} schema - The schema name, not escaped.
+     * @param {Array<Object>} functions - The functions with the `name`, `args`, `body` and optional `returns`
+     * and `attributes` fields.
+     * @param {Array<Object>} [modules] - The modules the functions require, see `deployModules()`.
+     * The `down` part of the migration leaves the modules in place.
+     * @returns {{up: string, down: string}} The migration SQL.
+     */
+    static generateMigration(schema, functions, modules = []) {
+        const escapedSchema = escapeIdentifier(schema);
+        const deploymentTableFullName = escapedSchema + "." + Deployment.#DEPLOYMENT_TABLE_NAME;
+        const historyTableFullName = escapedSchema + "." + Deployment.#HISTORY_TABLE_NAME;
+        const generationSequenceFullName = escapedSchema + "." + Deployment.#GENERATION_SEQUENCE_NAME;
+
+        let up = Deployment.#getInitStatements(escapedSchema).map(stmt => stmt + ";\n").join("") + "\n";
+        let down = "";
+
+        if (modules.length > 0) {
+            const modulesTableFullName = escapedSchema + "." + Deployment.#MODULES_TABLE_NAME;
+
+            up += "create or replace function " + escapedSchema + "." + escapeIdentifier(ModuleBundler.LOADER_FUNCTION_NAME) +
+                "() returns void as $$" + ModuleBundler.getLoaderBody(modulesTableFullName) + "$$ language plv8;\n\n";
+
+            modules.forEach(module => {
+                up += "INSERT INTO " + modulesTableFullName + " (name, source, hashcode, application_name) VALUES(" +
+                    [module.name, module.source, module.hashCode].map(escapeLiteral).join(", ") +
+                    ", current_setting('application_name')) ON CONFLICT (name) DO UPDATE SET source = EXCLUDED.source, " +
+                    "hashcode = EXCLUDED.hashcode, deployed_at = now(), application_name = EXCLUDED.application_name;\n\n";
+            });
+        }
+
+        functions.forEach(func => {
+            const funcArgs = func.args != undefined ? func.args : "";
+            const funcReturns = func.returns != undefined ? func.returns : Deployment.#DEFAULT_RETURN_TYPE;
+            const funcAttributes = Deployment.#getAttributes(func.attributes);
+            const bodyHashCode = Deployment.#getHashCode(func.body, funcAttributes);
+            const attributesLiteral = funcAttributes != undefined ? escapeLiteral(funcAttributes) : "NULL";
+
+            up += Deployment.#getMigrationDropStatement(escapedSchema, deploymentTableFullName, func.name, funcArgs,
+                funcReturns) + "\n\n";
+
+            up += Deployment.#getCreateStatement(escapedSchema, func.name, funcArgs, func.body, funcReturns,
+                funcAttributes) + "\n\n";
+
+            up += "INSERT INTO " + deploymentTableFullName + " (name, args, body_hashcode, returns, attributes) VALUES(" +
+                [func.name, funcArgs, bodyHashCode, funcReturns].map(escapeLiteral).join(", ") + ", " + attributesLiteral + ") " +
+                "ON CONFLICT (name, args) DO UPDATE SET body_hashcode = EXCLUDED.body_hashcode, returns = EXCLUDED.returns, " +
+                "attributes = EXCLUDED.attributes;\n";
+
+            up += "INSERT INTO " + historyTableFullName +
+                " (name, args, version, body, body_hashcode, returns, application_name, attributes) " +
+                "SELECT " + escapeLiteral(func.name) + ", " + escapeLiteral(funcArgs) + ", COALESCE(MAX(version), 0) + 1, " +
+                [func.body, bodyHashCode, funcReturns].map(escapeLiteral).join(", ") +
+                ", current_setting('application_name'), " + attributesLiteral + " FROM " + historyTableFullName +
+                " WHERE name = " + escapeLiteral(func.name) + ";\n\n";
+
+            down += "DROP FUNCTION IF EXISTS " + escapedSchema + "." + escapeIdentifier(func.name) + "(" +
+                Deployment.#quoteArgs(funcArgs) + ");\n";
+            down += "DELETE FROM " + deploymentTableFullName + " WHERE name = " + escapeLiteral(func.name) +
+                " AND args = " + escapeLiteral(funcArgs) + ";\n";
+        });
+
+        // Let running application instances reload the meta table
+        const nextGeneration = "SELECT nextval(" + escapeLiteral(generationSequenceFullName) + ");\n";
+
+        return { up: up + nextGeneration, down: down + nextGeneration };
+    }
+
+    /**
+     * The migration block that drops the deployed versions of the function the way `#createFunction()` does. The
+     * deployed state is only known when the migration is applied. The function is dropped if its return type has
+     * changed, and its overloads with the same argument names are dropped as its previous versions.
+     */
+    static #getMigrationDropStatement(schema, deploymentTableFullName, funcName, funcArgs, funcReturns) {
+        const argTypes = Deployment.getArgTypes(funcArgs);
+        const signature = schema + "." + escapeIdentifier(funcName) + "(" +
+            (argTypes != undefined ? argTypes.join(", ") : "") + ")";
+        const argNames = escapeLiteral(Deployment.#getArgNames(funcArgs));
+        // The argument names of the 'name type, ...' signatures stored in the meta table
+        const deployedArgNames = "regexp_replace(regexp_replace(args, '\\([^)]*\\)', '', 'g'), " +
+            "'\\s*(\\S+)[^,]*(,|$)', '\\1\\2', 'g')";
+
+        return "DO $pg_compute$\n" +
+            "DECLARE\n" +
+            "    stale regprocedure;\n" +
+            "BEGIN\n" +
+            "    IF EXISTS (SELECT 1 FROM " + deploymentTableFullName + " WHERE name = " + escapeLiteral(funcName) +
+            " AND args = " + escapeLiteral(funcArgs) + " AND lower(returns) <> lower(" + escapeLiteral(funcReturns) + ")) THEN\n" +
+            "        DROP FUNCTION IF EXISTS " + signature + ";\n" +
+            "    END IF;\n\n" +
+            "    FOR stale IN SELECT oid::regprocedure FROM pg_proc WHERE pronamespace = " + escapeLiteral(schema) +
+            "::regnamespace AND proname = " + escapeLiteral(funcName) +
+            " AND COALESCE(proargnames[1:pronargs], '{}') = string_to_array(" + argNames + ", ',')" +
+            " AND oid IS DISTINCT FROM to_regprocedure(" + escapeLiteral(signature) + ") LOOP\n" +
+            "        EXECUTE 'DROP FUNCTION ' || stale;\n" +
+            "    END LOOP;\n\n" +
+            "    DELETE FROM " + deploymentTableFullName + " WHERE name = " + escapeLiteral(funcName) +
+            " AND args <> " + escapeLiteral(funcArgs) + " AND " + deployedArgNames + " = " + argNames + ";\n" +
+            "END\n" +
+            "$pg_compute$;";
+    }
+
+    /**
+     * The statements creating the schema and the tables used by pg_compute.
+     */
+    static #getInitStatements(schema) {
+        return [
+            "CREATE SCHEMA IF NOT EXISTS " + schema,
+            "CREATE TABLE IF NOT EXISTS " + schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME +
+            Deployment.#DEPLOYMENT_TABLE_COLUMNS,
+            // Upgrade the meta table created by an earlier version
+            "ALTER TABLE " + schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME + " ADD COLUMN IF NOT EXISTS returns text",
+            "ALTER TABLE " + schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME + " ADD COLUMN IF NOT EXISTS trigger_table text",
+            "ALTER TABLE " + schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME + " ADD COLUMN IF NOT EXISTS trigger text",
+            "ALTER TABLE " + schema + "." + Deployment.#DEPLOYMENT_TABLE_NAME + " ADD COLUMN IF NOT EXISTS attributes text",
+            "CREATE SEQUENCE IF NOT EXISTS " + schema + "." + Deployment.#GENERATION_SEQUENCE_NAME,
+            "CREATE TABLE IF NOT EXISTS " + schema + "." + Deployment.#HISTORY_TABLE_NAME +
+            Deployment.#HISTORY_TABLE_COLUMNS,
+            "ALTER TABLE " + schema + "." + Deployment.#HISTORY_TABLE_NAME + " ADD COLUMN IF NOT EXISTS attributes text",
+            "CREATE TABLE IF NOT EXISTS " + schema + "." + Deployment.#MODULES_TABLE_NAME +
+            Deployment.#MODULES_TABLE_COLUMNS
+        ];
+    }
+
+    static #getCreateStatement(schema, funcName, funcArgs, funcBody, funcReturns, funcAttributes) {
+        if (funcArgs == undefined)
+            funcArgs = "";
+
+        return "create or replace function " + schema + "." + escapeIdentifier(funcName) + "(" + Deployment.#quoteArgs(funcArgs) +
+            ") returns " + funcReturns + " as $$" +
+            funcBody +
+            "$$ language plv8" + (funcAttributes != undefined ? " " + funcAttributes : "") + ";";
+    }
+
+    /**
+     * Quotes the argument names of a function signature, such as `totalAmount int4`, so that they keep their case
+     * and can be reserved words. plv8 passes the arguments to the function under these names.
+     */
+    static #quoteArgs(funcArgs) {
+        if (funcArgs == undefined || funcArgs == "")
+            return "";
+
+        return Deployment.#splitArgs(funcArgs).map(arg => {
+            const nameEnd = arg.search(/\s/);
+
+            return nameEnd > 0 ? escapeIdentifier(arg.substring(0, nameEnd)) + arg.substring(nameEnd) : arg;
+        }).join(", ");
+    }
+
+    /**
+     * The hash code detects the changes of the function body and attributes. The hash code of a function
+     * without attributes is the hash code of its body, as it was before the attributes were supported.
+     */
+    static #getHashCode(funcBody, funcAttributes) {
+        return crypto.createHash('md5').update(funcAttributes != undefined ? funcBody + "\n" + funcAttributes : funcBody)
+            .digest("hex");
+    }
+
+    /**
+     * The local version of the function, it changes with the body, the attributes and the return type.
+     */
+    static #getLocalVersion(bodyHashCode, funcReturns) {
+        return bodyHashCode + ":" + funcReturns.toLowerCase();
+    }
+
+    static #getAttributes(funcAttributes) {
+        return funcAttributes != undefined && funcAttributes.trim() != "" ? funcAttributes.trim() : undefined;
+    }
+
+    /**
+     * Returns all the deployed versions of the function, including its overloads.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @returns {Array<Object>} The versions sorted in the deployment order.
+     */
+    async getHistory(connection, funcName) {
+        const result = await connection.query({
+            name: "pg_compute_history_" + this.#historyTableFullName,
+            text: "SELECT * FROM " + this.#historyTableFullName + " WHERE name = $1 ORDER BY version;",
+            values: [funcName]
+        });
+
+        return result.rows.map(row => {
+            return {
+                "version": row["version"],
+                "args": row["args"],
+                "returns": row["returns"],
+                "body": row["body"],
+                "bodyHashCode": row["body_hashcode"],
+                "deployedAt": row["deployed_at"],
+                "applicationName": row["application_name"],
+                "attributes": row["attributes"] != null ? row["attributes"] : undefined
+            };
+        });
+    }
+
+    /**
+     * Redeploys a previous version of the function from the history table. The restored version
+     * is recorded in the history as a new version. This application instance uses the restored 
+     * version until the function is redeployed by another instance.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} funcName - The function name.
+     * @param {number} version - The version to restore.
+     * @param {Object} local - The local version of the function with the `body`, `returns` and `attributes` fields.
+     * It's used unless this instance has verified the function already.
+     */
+    async rollback(connection, funcName, version, local) {
+        const result = await connection.query({
+            name: "pg_compute_history_version_" + this.#historyTableFullName,
+            text: "SELECT * FROM " + this.#historyTableFullName + " WHERE name = $1 and version = $2;",
+            values: [funcName, version]
+        });
+
+        if (result.rows.length == 0)
+            throw new Error("Version " + version + " of function '" + funcName + "' doesn't exist");
+
+        const row = result.rows[0];
+        const replacedRecord = this.#findFunctionByArgNames(funcName, row["args"]);
+
+        // The restored version stays attached to the current trigger, if any
+        const funcRecord = await this.#createFunction(connection, funcName, row["args"], row["body"], row["returns"],
+            row["attributes"] != null ? row["attributes"] : undefined,
+            replacedRecord != undefined ? replacedRecord['args'] : undefined,
+            replacedRecord != undefined ? { table: replacedRecord['triggerTable'], statement: replacedRecord['trigger'] } : undefined);
+
+        const funcKey = Deployment.#getFunctionKey(funcName, funcRecord['args']);
+        const replacedKey = replacedRecord != undefined ?
+            Deployment.#getFunctionKey(funcName, replacedRecord['args']) : funcKey;
+        let verifiedVersion = this.#verifiedFunctions[funcKey] != undefined ? this.#verifiedFunctions[funcKey] :
+            this.#verifiedFunctions[replacedKey];
+
+        if (verifiedVersion == undefined) {
+            const localReturns = local.returns != undefined ? local.returns : Deployment.#DEFAULT_RETURN_TYPE;
+
+            verifiedVersion = Deployment.#getLocalVersion(
+                Deployment.#getHashCode(local.body, Deployment.#getAttributes(local.attributes)), localReturns);
+        }
+
+        // Don't let this instance redeploy its own version on the next call, nor after the meta table is reloaded:
+        // the restored version is used as long as the local version stays as it was
+        funcRecord.checked = true;
+        this.#verifiedFunctions[funcKey] = verifiedVersion;
+
+        this.#logger.info("Function '" + funcName + "' has been rolled back to version " + version);
+    }
+
+    /**
+     * Reloads the meta table if any function was changed by another application instance since
+     * the last check. The reloaded functions are verified again on the next call.
+     */
+    async #syncDeploymentTable(connection) {
+        const now = Date.now();
+
+        if (now - this.#lastSyncTime < this.#syncInterval)
+            return;
+
+        this.#lastSyncTime = now;
+
+        const generation = await this.#getGeneration(connection);
+
+        if (generation != this.#generation) {
+            this.#logger.debug("The meta table has been changed by another application instance, reloading");
+
+            await this.#loadDeploymentTable(connection);
+        }
+    }
+
+    async #getGeneration(connection) {
+        const result = await connection.query({
+            text: "SELECT CASE WHEN is_called THEN last_value ELSE 0 END AS generation FROM " + this.#generationSequenceFullName,
+            name: "get_generation_" + this.#generationSequenceFullName
+        });
+
+        return Number(result.rows[0]["generation"]);
+    }
+
+    /**
+     * Returns the Postgres types of function arguments.
+     * 
+     * @param {string} funcArgs - The function arguments in the `name type, ...` format.
+     * @returns {Array<string> | undefined} The argument types or `undefined` if the function
+     * signature is not known (for instance, in the MANUAL deployment mode).
+     */
+    static getArgTypes(funcArgs) {
+        if (funcArgs == undefined || funcArgs == "")
+            return undefined;
+
+        return Deployment.#splitArgs(funcArgs).map(arg => arg.substring(arg.indexOf(" ") + 1).trim());
+    }
+
+    /**
+     * Splits a function signature, such as `a int4, b numeric(10,2)`, into separate arguments.
+     */
+    static #splitArgs(argsStr) {
+        let args = [];
+        let depth = 0, start = 0;
+
+        for (let i = 0; i < argsStr.length; i++) {
+            if (argsStr[i] == "(")
+                depth++;
+            else if (argsStr[i] == ")")
+                depth--;
+            else if (argsStr[i] == "," && depth == 0) {
+                args.push(argsStr.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        args.push(argsStr.substring(start).trim());
+
+        return args;
     }
 
     async #loadDeploymentTable(connection) {
+        // Read the generation first, a concurrent change will be picked up by the next sync
+        this.#generation = await this.#getGeneration(connection);
+        this.#deploymentTable = {};
+
         const result = await connection.query({
             text: "SELECT * FROM " + this.#deploymentTableFullName,
             name: "get_meta_" + this.#deploymentTableFullName
@@ -137,60 +1170,259 @@ class Deployment {
 
         if (result.rows.length > 0) {
             result.rows.forEach(row => {
-                this.#deploymentTable[row['name']] = { "args": row['args'], "bodyHashCode": row["body_hashcode"] };
+                this.#deploymentTable[Deployment.#getFunctionKey(row['name'], row['args'])] = Deployment.#toRecord(row);
             });
         }
 
-        console.debug("Loaded the meta table:\n %j", this.#deploymentTable);
+        this.#logger.debug("Loaded the meta table:\n " + JSON.stringify(this.#deploymentTable));
     }
 
-    async #createFunction(connection, funcName, funcArgs, funcBody, redeploy) {
-        let stmt;
+    /**
+     * Creates or replaces the function and drops its stale overloads.
+     * 
+     * The deployment happens in a transaction holding an advisory lock on the function name,
+     * thus, application instances that deploy the function simultaneously don't interfere.
+     * 
+     * @param {string} [replacedArgs] - The arguments of the deployed function version that is being replaced.
+     * @param {Object} [trigger] - The trigger to attach the function to, see `#getTrigger()`.
+     * @returns {Object} The record of the deployed function.
+     */
+    async #createFunction(connection, funcName, funcArgs, funcBody, funcReturns, funcAttributes, replacedArgs, trigger) {
+        const stmt = Deployment.#getCreateStatement(this.#schema, funcName, funcArgs, funcBody, funcReturns, funcAttributes);
 
-        if (funcArgs == undefined) {
-            stmt = "create or replace function " + this.#schema + "." + funcName + "() returns JSON as $$" +
-                funcBody +
-                "$$ language plv8;"
-        } else {
-            stmt = "create or replace function " + this.#schema + "." + funcName + "(" + funcArgs + ") returns JSON as $$" +
-                funcBody +
-                "$$ language plv8;"
-        }
+        const bodyHashCode = Deployment.#getHashCode(funcBody, funcAttributes);
+        const funcKey = Deployment.#getFunctionKey(funcName, funcArgs);
+        let generation;
+
+        if (trigger == undefined)
+            trigger = this.#getTrigger(funcName);
 
-        const bodyHashCode = crypto.createHash('md5').update(funcBody).digest("hex");
+        await Deployment.#begin(connection);
 
+        try {
+            await this.#lock(connection, funcName);
+
+            // Another application instance might have changed the function while the lock was awaited
+            await this.#loadFunctionRecords(connection, funcName);
+
+            const existingRecord = this.#deploymentTable[funcKey];
+
+            if (existingRecord != undefined && existingRecord['bodyHashCode'] == bodyHashCode &&
+                existingRecord['returns'].toLowerCase() == funcReturns.toLowerCase() &&
+                existingRecord['trigger'] == trigger.statement) {
+                await Deployment.#commit(connection);
+
+                this.#logger.debug("Function '" + funcKey + "' has already been deployed by another application instance");
+
+                return existingRecord;
+            }
 
-        await connection.query("BEGIN;");
-        await connection.query(stmt);
+            const staleRecords = this.#findStaleOverloads(funcName, funcArgs, replacedArgs);
+
+            for (const staleRecord of staleRecords) {
+                await this.#dropFunction(connection, staleRecord);
+
+                delete this.#deploymentTable[Deployment.#getFunctionKey(funcName, staleRecord['args'])];
+
+                this.#logger.debug("Dropped stale overload '" + Deployment.#getFunctionKey(funcName, staleRecord['args']) + "'");
+            }
+
+            // The trigger is recreated in case the table, the events or the timing have changed
+            if (existingRecord != undefined && existingRecord['trigger'] != undefined)
+                await this.#dropTrigger(connection, funcName, existingRecord['triggerTable']);
+
+            // The return type of an existing function can't be changed with 'create or replace'
+            if (existingRecord != undefined && existingRecord["returns"].toLowerCase() != funcReturns.toLowerCase()) {
+                await connection.query("drop function if exists " + this.#schema + "." + escapeIdentifier(funcName) + "(" +
+                    Deployment.#quoteArgs(funcArgs) + ");");
+            }
+
+            await connection.query(stmt);
+
+            if (trigger.statement != undefined) {
+                await this.#dropTrigger(connection, funcName, trigger.table);
+                await connection.query(trigger.statement);
+            }
+
+            await connection.query(
+                {
+                    name: "pg_compute_upsert_" + this.#deploymentTableFullName,
+                    text: "INSERT INTO " + this.#deploymentTableFullName +
+                        " (name, args, body_hashcode, returns, trigger_table, trigger, attributes) VALUES($1,$2,$3,$4,$5,$6,$7) " +
+                        "ON CONFLICT (name, args) DO UPDATE SET body_hashcode = EXCLUDED.body_hashcode, returns = EXCLUDED.returns, " +
+                        "trigger_table = EXCLUDED.trigger_table, trigger = EXCLUDED.trigger, attributes = EXCLUDED.attributes;",
+                    values: [funcName, funcArgs, bodyHashCode, funcReturns, trigger.table, trigger.statement, funcAttributes]
+                }
+            );
 
-        if (redeploy) {
             await connection.query(
                 {
-                    name: "pg_compute_delete_" + this.#deploymentTableFullName,
-                    text: "DELETE FROM " + this.#deploymentTableFullName + " WHERE name = $1 and args = $2;",
-                    values: [funcName, this.#deploymentTable[funcName]["args"]]
+                    name: "pg_compute_history_insert_" + this.#historyTableFullName,
+                    text: "INSERT INTO " + this.#historyTableFullName +
+                        " (name, args, version, body, body_hashcode, returns, application_name, attributes) " +
+                        "SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4, $5, current_setting('application_name'), $6 " +
+                        "FROM " + this.#historyTableFullName + " WHERE name = $1;",
+                    values: [funcName, funcArgs, funcBody, bodyHashCode, funcReturns, funcAttributes]
                 }
             );
 
+            generation = await this.#nextGeneration(connection);
+
+            await Deployment.#commit(connection);
+        } catch (error) {
+            await this.#rollback(connection);
+
+            // The in-memory records might be ahead of the rolled back changes, reload them on the next call
+            this.invalidate();
+            throw error;
+        }
+
+        this.#deploymentTable[funcKey] = {
+            "name": funcName, "args": funcArgs, "bodyHashCode": bodyHashCode, "returns": funcReturns,
+            "triggerTable": trigger.table, "trigger": trigger.statement, "attributes": funcAttributes
+        };
+
+        // Skip reloading the meta table if nobody else has changed it in the meantime
+        if (generation == this.#generation + 1)
+            this.#generation = generation;
+
+        this.#logger.debug("Meta table updated:\n " + JSON.stringify(this.#deploymentTable));
+
+        return this.#deploymentTable[funcKey];
+    }
+
+    static #toRecord(row) {
+        return {
+            "name": row['name'],
+            "args": row['args'],
+            "bodyHashCode": row["body_hashcode"],
+            "returns": row["returns"] != null ? row["returns"] : Deployment.#DEFAULT_RETURN_TYPE,
+            "triggerTable": row["trigger_table"] != null ? row["trigger_table"] : undefined,
+            "trigger": row["trigger"] != null ? row["trigger"] : undefined,
+            "attributes": row["attributes"] != null ? row["attributes"] : undefined
+        };
+    }
+
+    /**
+     * Reloads the meta table records of all the overloads of the function.
+     */
+    async #loadFunctionRecords(connection, funcName) {
+        const result = await connection.query({
+            text: "SELECT * FROM " + this.#deploymentTableFullName + " WHERE name = $1",
+            name: "get_meta_func_" + this.#deploymentTableFullName,
+            values: [funcName]
+        });
+
+        Object.keys(this.#deploymentTable).forEach(funcKey => {
+            if (this.#deploymentTable[funcKey]['name'] == funcName)
+                delete this.#deploymentTable[funcKey];
+        });
+
+        result.rows.forEach(row => {
+            this.#deploymentTable[Deployment.#getFunctionKey(row['name'], row['args'])] = Deployment.#toRecord(row);
+        });
+    }
+
+    async #nextGeneration(connection) {
+        const result = await connection.query({
+            name: "pg_compute_generation_" + this.#generationSequenceFullName,
+            text: "SELECT nextval($1::regclass) AS generation;",
+            values: [this.#generationSequenceFullName]
+        });
+
+        return Number(result.rows[0]["generation"]);
+    }
+
+    /**
+     * Takes a transaction-level advisory lock keyed on the schema and the given name.
+     */
+    async #lock(connection, name) {
+        await connection.query({
+            name: "pg_compute_lock",
+            text: "SELECT pg_advisory_xact_lock(hashtext($1), hashtext($2));",
+            values: [this.#schema, name]
+        });
+    }
+
+    /**
+     * Starts a transaction for a deployment. If the application has already started a transaction on the connection
+     * with `PgCompute.transaction()`, the deployment happens within a savepoint of that transaction, and the deployed
+     * function becomes visible to others only when the application transaction is committed.
+     */
+    static async #begin(connection) {
+        if (Transaction.isActive(connection))
+            await connection.query("SAVEPOINT " + Deployment.#SAVEPOINT_NAME + ";");
+        else
+            await connection.query("BEGIN;");
+    }
+
+    static async #commit(connection) {
+        if (Transaction.isActive(connection))
+            await connection.query("RELEASE SAVEPOINT " + Deployment.#SAVEPOINT_NAME + ";");
+        else
+            await connection.query("COMMIT;");
+    }
+
+    async #rollback(connection) {
+        try {
+            if (Transaction.isActive(connection))
+                await connection.query("ROLLBACK TO SAVEPOINT " + Deployment.#SAVEPOINT_NAME + ";");
+            else
+                await connection.query("ROLLBACK;");
+        } catch (error) {
+            // The original error is more important, the connection might be broken anyway
+            this.#logger.warn("Failed to rollback the transaction: " + error.message);
         }
+    }
+
+    async #dropFunction(connection, funcRecord) {
+        // A function can't be dropped while a trigger uses it
+        if (funcRecord['trigger'] != undefined)
+            await this.#dropTrigger(connection, funcRecord['name'], funcRecord['triggerTable']);
+
+        await connection.query("drop function if exists " + this.#schema + "." + escapeIdentifier(funcRecord['name']) + "(" +
+            Deployment.#quoteArgs(funcRecord['args']) + ");");
 
         await connection.query(
             {
-                name: "pg_compute_insert_" + this.#deploymentTableFullName,
-                text: "INSERT INTO " + this.#deploymentTableFullName + " VALUES($1,$2,$3);",
-                values: [funcName, funcArgs, bodyHashCode]
+                name: "pg_compute_delete_" + this.#deploymentTableFullName,
+                text: "DELETE FROM " + this.#deploymentTableFullName + " WHERE name = $1 and args = $2;",
+                values: [funcRecord['name'], funcRecord['args']]
             }
         );
+    }
 
-        await connection.query("COMMIT;");
+    async #dropTrigger(connection, funcName, table) {
+        await connection.query("drop trigger if exists " + escapeIdentifier(funcName) + " on " + Deployment.#quoteTable(table) + ";");
+    }
 
-        this.#deploymentTable[funcName] = { "args": funcArgs, "bodyHashCode": bodyHashCode };
+    /**
+     * Quotes the table name and the schema name the table is qualified with, if any.
+     */
+    static #quoteTable(table) {
+        return table.split(".").map(part => escapeIdentifier(part)).join(".");
+    }
+
+    /**
+     * Returns the trigger table and the statement creating the trigger. Both are `undefined` for regular functions.
+     * 
+     * The trigger is named after the function, thus, a function can be attached to a single table.
+     */
+    #getTrigger(funcName, trigger) {
+        if (trigger == undefined)
+            return { table: undefined, statement: undefined };
 
-        console.debug("Meta table updated:\n %j", this.#deploymentTable);
+        return {
+            table: trigger.table,
+            statement: "create trigger " + escapeIdentifier(funcName) + " " + trigger.timing + " " + trigger.events.join(" or ") +
+                " on " + Deployment.#quoteTable(trigger.table) + " for each " + trigger.forEach +
+                " execute function " + this.#schema + "." + escapeIdentifier(funcName) + "();"
+        };
     }
 
 
 }
 
 module.exports.Deployment = Deployment;
-module.exports.DeploymentMode = DeploymentMode;
\ No newline at end of file
+module.exports.DeploymentMode = DeploymentMode;
+module.exports.ConflictPolicy = ConflictPolicy;
\ No newline at end of file
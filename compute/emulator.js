@@ -0,0 +1,365 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const vm = require("vm");
+const { ModuleBundler } = require("./module_bundler.js");
+
+/**
+ * A SQL handler that answers the queries with predefined results. Handy for unit tests of the functions
+ * executed in the `DeploymentMode.LOCAL` mode.
+ * ```
+ * const fixtures = new SqlFixtures()
+ *     .on("select name from users where id = $1", (params) => [{ name: "user" + params[0] }])
+ *     .on(/^insert into audit/i, 1);
+ * ```
+ * 
+ * The transaction control statements (`BEGIN`, `COMMIT`, `SAVEPOINT`, etc.) are accepted without a fixture.
+ * Every executed query is recorded in the `queries` array.
+ */
+class SqlFixtures {
+    static #TRANSACTION_CONTROL_STATEMENT = /^\s*(BEGIN|START|COMMIT|END|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+    #fixtures = [];
+
+    /** The executed queries, every query is an object with the `sql` and `params` fields. */
+    queries = [];
+
+    /**
+     * Adds a fixture.
+     * 
+     * @param {string | RegExp} sql - The query text (compared ignoring the extra whitespaces and the case)
+     * or a regular expression matching the query text.
+     * @param {Array<Object> | number | function(Array, string): any} result - The rows returned by the query,
+     * the number of affected rows or a function computing the result from the query parameters.
+     * @returns {SqlFixtures} This object for chaining.
+     */
+    on(sql, result) {
+        this.#fixtures.push({ sql: sql, result: result });
+        return this;
+    }
+
+    /**
+     * Executes a query. The first matching fixture produces the result.
+     * 
+     * @param {string} sql - The query text.
+     * @param {Array} params - The query parameters.
+     * @returns {Array<Object> | number} The rows or the number of affected rows.
+     */
+    execute(sql, params) {
+        this.queries.push({ sql: sql, params: params });
+
+        const fixture = this.#fixtures.find(fixture => fixture.sql instanceof RegExp ?
+            fixture.sql.test(sql) : SqlFixtures.#normalize(fixture.sql) == SqlFixtures.#normalize(sql));
+
+        if (fixture == undefined) {
+            if (SqlFixtures.#TRANSACTION_CONTROL_STATEMENT.test(sql))
+                return [];
+
+            throw new Error("No fixture found for the query: " + sql);
+        }
+
+        return typeof (fixture.result) == "function" ? fixture.result(params, sql) : fixture.result;
+    }
+
+    static #normalize(sql) {
+        return sql.replace(/\s+/g, " ").replace(/\s*;\s*$/, "").trim().toLowerCase();
+    }
+}
+
+/**
+ * Executes functions in Node.js instead of the database for the `DeploymentMode.LOCAL` mode.
+ * 
+ * Functions run in a `vm` sandbox that provides the `plv8` global object. The SQL queries of the `plv8`
+ * methods are passed to the SQL handler. Since plv8 functions are synchronous, the handler has to be synchronous.
+ */
+class Emulator {
+    /** The plv8 message levels. */
+    static #LEVELS = {
+        DEBUG5: "DEBUG5", DEBUG4: "DEBUG4", DEBUG3: "DEBUG3", DEBUG2: "DEBUG2", DEBUG1: "DEBUG1",
+        LOG: "LOG", INFO: "INFO", NOTICE: "NOTICE", WARNING: "WARNING", ERROR: "ERROR"
+    };
+
+    /** The SQL handler. */
+    #sqlHandler;
+
+    /** Receives the messages of `plv8.elog()` below the `ERROR` level. */
+    #onMessage;
+
+    /** The sandbox context. */
+    #context;
+
+    /** The functions known to `plv8.find_function()`, the key is the name the function is deployed under. */
+    #functions = new Map();
+
+    /** The compiled functions, the key is the function signature and body. */
+    #compiledFunctions = new Map();
+
+    /** The rows collected with `plv8.return_next()` for the functions being executed. */
+    #returnedRows = [];
+
+    /**
+     * @param {Object} [options] - The emulator options.
+     * @param {function(string, Array): any | {execute: function(string, Array): any}} [options.sqlHandler] - Executes
+     * the queries. Returns an array of rows or the number of affected rows, like `plv8.execute()` does.
+     * @param {function(string, string)} [options.onMessage] - Receives the level and the message of `plv8.elog()`
+     * calls below the `ERROR` level. The messages are discarded by default.
+     * @param {Array<Object>} [options.modules] - The modules the functions can require, see `ModuleBundler.bundleAll()`.
+     */
+    constructor(options = {}) {
+        this.#sqlHandler = options.sqlHandler;
+        this.#onMessage = options.onMessage != undefined ? options.onMessage : () => { };
+
+        this.#context = vm.createContext(Object.assign({ plv8: this.#createPlv8() }, Emulator.#LEVELS));
+
+        if (options.modules != undefined && options.modules.length > 0)
+            ModuleBundler.installLocally(this.#context, options.modules);
+    }
+
+    /**
+     * Makes the function available to `plv8.find_function()`.
+     * 
+     * @param {Object} func - The function description with the `name`, `argNames`, `body`, `definition`
+     * and `setReturning` fields.
+     */
+    register(func) {
+        this.#functions.set(func.name, func);
+    }
+
+    /**
+     * Executes the function.
+     * 
+     * @param {Object} func - The function description, see `register()`.
+     * @param {Array} args - The function arguments in the form of the function signature.
+     * @returns {any} The function result, set-returning functions return an array of rows.
+     */
+    run(func, args) {
+        this.register(func);
+
+        const compiledFunc = this.#compile(func);
+
+        this.#returnedRows.push([]);
+
+        try {
+            const result = compiledFunc(...args);
+            const rows = this.#returnedRows[this.#returnedRows.length - 1];
+
+            if (func.setReturning)
+                return rows.map(row => Emulator.#toResult(row, func.definition.returns));
+
+            return Emulator.#toResult(result, func.definition.returns);
+        } finally {
+            this.#returnedRows.pop();
+        }
+    }
+
+    /**
+     * Executes a query with the SQL handler. Lets the emulator stand in for a database connection.
+     * The arguments are the same as for `Client.query()` of node-postgres.
+     */
+    async query(query, values) {
+        const text = typeof (query) == "string" ? query : query.text;
+        const params = values != undefined ? values : (query.values != undefined ? query.values : []);
+
+        const result = this.#executeSql(text, params);
+
+        return {
+            rows: Array.isArray(result) ? result : [],
+            rowCount: Array.isArray(result) ? result.length : result
+        };
+    }
+
+    #compile(func) {
+        const key = func.name + "(" + func.argNames.join(", ") + ")" + func.body;
+        let compiledFunc = this.#compiledFunctions.get(key);
+
+        if (compiledFunc == undefined) {
+            let script;
+
+            try {
+                script = Emulator.#createScript(func, func.name);
+            } catch (error) {
+                // The deployed name might be a reserved word or not a JavaScript identifier at all
+                script = Emulator.#createScript(func, "");
+            }
+
+            compiledFunc = script.runInContext(this.#context);
+            this.#compiledFunctions.set(key, compiledFunc);
+        }
+
+        return compiledFunc;
+    }
+
+    static #createScript(func, jsName) {
+        // The body starts on the second line like in plv8, so the reported line numbers match the database
+        return new vm.Script(
+            "(function " + jsName + "(" + func.argNames.join(", ") + ") {\n" + func.body + "\n})",
+            { filename: func.name + ".js" });
+    }
+
+    /**
+     * Resolves the name passed to `plv8.find_function()` like Postgres does. The name might be qualified with
+     * a schema or include the argument types, the unquoted name is folded to lower case.
+     */
+    static #resolveFunctionName(name) {
+        const identifiers = name.replace(/\(.*\)\s*$/, "").match(/"(?:[^"]|"")*"|[^."]+/g);
+        const funcName = identifiers != null ? identifiers[identifiers.length - 1].trim() : "";
+
+        if (funcName.startsWith("\""))
+            return funcName.substring(1, funcName.length - 1).replace(/""/g, "\"");
+
+        return funcName.toLowerCase();
+    }
+
+    #executeSql(sql, params) {
+        if (this.#sqlHandler == undefined)
+            throw new Error("The query can't be executed, the SQL handler is not configured for the emulator: " + sql);
+
+        if (typeof (this.#sqlHandler) == "function")
+            return this.#sqlHandler(sql, params);
+
+        return this.#sqlHandler.execute(sql, params);
+    }
+
+    /**
+     * Creates the `plv8` object available to the functions.
+     */
+    #createPlv8() {
+        const emulator = this;
+
+        const getParams = (args) => args.length == 1 && Array.isArray(args[0]) ? args[0] : args;
+
+        return {
+            execute(sql, ...args) {
+                return emulator.#executeSql(sql, getParams(args));
+            },
+
+            prepare(sql, typeNames) {
+                let freed = false;
+
+                const checkFreed = () => {
+                    if (freed)
+                        throw new Error("The plan has been freed");
+                };
+
+                return {
+                    execute(...args) {
+                        checkFreed();
+                        return emulator.#executeSql(sql, getParams(args));
+                    },
+
+                    cursor(...args) {
+                        checkFreed();
+                        return Emulator.#createCursor(emulator.#executeSql(sql, getParams(args)));
+                    },
+
+                    free() {
+                        freed = true;
+                    }
+                };
+            },
+
+            elog(level, ...messages) {
+                const message = messages.join(" ");
+
+                if (level == Emulator.#LEVELS.ERROR)
+                    throw new Error(message);
+
+                emulator.#onMessage(level, message);
+            },
+
+            find_function(name) {
+                const func = emulator.#functions.get(Emulator.#resolveFunctionName(name));
+
+                if (func == undefined)
+                    throw new Error("function " + name + " does not exist");
+
+                return (...args) => emulator.run(func, args);
+            },
+
+            subtransaction(func) {
+                return func();
+            },
+
+            return_next(row) {
+                if (emulator.#returnedRows.length == 0)
+                    throw new Error("return_next() can be called only in a set-returning function");
+
+                emulator.#returnedRows[emulator.#returnedRows.length - 1].push(row);
+            },
+
+            quote_literal(str) {
+                return "'" + String(str).replace(/'/g, "''") + "'";
+            },
+
+            quote_nullable(str) {
+                return str == null ? "NULL" : this.quote_literal(str);
+            },
+
+            quote_ident(str) {
+                return /^[a-z_][a-z0-9_$]*$/.test(str) ? str : "\"" + String(str).replace(/"/g, "\"\"") + "\"";
+            }
+        };
+    }
+
+    static #createCursor(rows) {
+        if (!Array.isArray(rows))
+            throw new Error("The cursor can be opened only for a query that returns rows");
+
+        let position = 0;
+
+        return {
+            fetch(count) {
+                if (count == undefined) {
+                    return position < rows.length ? rows[position++] : undefined;
+                }
+
+                const fetched = rows.slice(position, position + count);
+                position += fetched.length;
+
+                return fetched;
+            },
+
+            move(count) {
+                position = Math.max(0, Math.min(rows.length, position + count));
+            },
+
+            close() {
+                position = rows.length;
+            }
+        };
+    }
+
+    /**
+     * Converts the function result the way the database does for the return type. The results of the functions
+     * returning JSON, which is the default, are serialized and parsed back.
+     */
+    static #toResult(value, returns) {
+        if (value === undefined || value === null)
+            return null;
+
+        const returnType = returns != undefined ? returns.toLowerCase().replace(/^\s*setof\s+/, "").trim() : "json";
+
+        if (returnType == "json" || returnType == "jsonb") {
+            const json = JSON.stringify(value);
+            return json !== undefined ? JSON.parse(json) : null;
+        }
+
+        return value;
+    }
+}
+
+module.exports.Emulator = Emulator;
+module.exports.SqlFixtures = SqlFixtures;
@@ -0,0 +1,142 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { escapeIdentifier } = require("pg");
+
+/**
+ * The error thrown when the database doesn't meet the requirements of PgCompute. All the unmet requirements
+ * are listed at once, so that they can be fixed together.
+ */
+class EnvironmentError extends Error {
+    /**
+     * The unmet requirements. Every requirement has the `requirement` name, such as `plv8Available`,
+     * `plv8Installed` or `createPrivilege`, and the `message` explaining how to meet it.
+     */
+    unmet;
+
+    /** The environment found by the checks, see `Environment.check()`. */
+    environment;
+
+    /**
+     * @param {Array<{requirement: string, message: string}>} unmet - The unmet requirements.
+     * @param {Object} environment - The environment found by the checks.
+     */
+    constructor(unmet, environment) {
+        super("The database doesn't meet the requirements of PgCompute:\n" +
+            unmet.map(item => "  - " + item.message).join("\n"));
+
+        this.name = "EnvironmentError";
+        this.unmet = unmet;
+        this.environment = environment;
+    }
+}
+
+/**
+ * Checks that the database can run the functions before anything is deployed: the plv8 extension is available
+ * on the server and installed in the database, and the role can create the functions in the schema.
+ */
+class Environment {
+    /**
+     * Checks the database and returns the versions of the server and plv8.
+     * 
+     * @param {Client} connection - A database connection.
+     * @param {string} schema - The schema name, not escaped.
+     * @param {Object} [options] - Additional options.
+     * @param {boolean} [options.createExtension] - If true, the plv8 extension is created if it's available
+     * but not installed in the database.
+     * @returns {Object} The environment with the `plv8_version`, `server_version`, `server_version_num`,
+     * `database`, `role` and `schema` fields.
+     * @throws {EnvironmentError} If some requirements are not met.
+     */
+    static async check(connection, schema, options = {}) {
+        let info = await Environment.#query(connection, schema);
+        let unmet = [];
+
+        if (info.plv8_available_version == null) {
+            unmet.push({
+                requirement: "plv8Available",
+                message: "The plv8 extension is not available on the server. Install the plv8 package for PostgreSQL " +
+                    info.server_version + " on the database server"
+            });
+        } else if (info.plv8_version == null && options.createExtension) {
+            try {
+                await connection.query("CREATE EXTENSION IF NOT EXISTS plv8;");
+
+                info = await Environment.#query(connection, schema);
+            } catch (error) {
+                unmet.push({
+                    requirement: "plv8Installed",
+                    message: "Failed to create the plv8 extension in database '" + info.database + "': " + error.message
+                });
+            }
+        } else if (info.plv8_version == null) {
+            unmet.push({
+                requirement: "plv8Installed",
+                message: "The plv8 extension is not installed in database '" + info.database + "'. Run " +
+                    "'CREATE EXTENSION plv8;' or pass the 'createExtension' option to init()"
+            });
+        }
+
+        if (info.schema_exists && !info.schema_create) {
+            unmet.push({
+                requirement: "createPrivilege",
+                message: "Role '" + info.role + "' doesn't have the CREATE privilege on schema '" + schema + "'. Run " +
+                    "'GRANT CREATE ON SCHEMA " + escapeIdentifier(schema) + " TO " + escapeIdentifier(info.role) + ";'"
+            });
+        } else if (!info.schema_exists && !info.database_create) {
+            unmet.push({
+                requirement: "createPrivilege",
+                message: "Role '" + info.role + "' can't create schema '" + schema + "' since it doesn't have the CREATE " +
+                    "privilege on database '" + info.database + "'. Create the schema or run 'GRANT CREATE ON DATABASE " +
+                    escapeIdentifier(info.database) + " TO " + escapeIdentifier(info.role) + ";'"
+            });
+        }
+
+        const environment = {
+            plv8_version: info.plv8_version != null ? info.plv8_version : undefined,
+            server_version: info.server_version,
+            server_version_num: Number(info.server_version_num),
+            database: info.database,
+            role: info.role,
+            schema: schema
+        };
+
+        if (unmet.length > 0)
+            throw new EnvironmentError(unmet, environment);
+
+        return environment;
+    }
+
+    static async #query(connection, schema) {
+        const result = await connection.query({
+            name: "pg_compute_environment",
+            text: "SELECT current_setting('server_version') AS server_version, " +
+                "current_setting('server_version_num') AS server_version_num, " +
+                "current_database() AS database, current_user AS role, " +
+                "(SELECT default_version FROM pg_available_extensions WHERE name = 'plv8') AS plv8_available_version, " +
+                "(SELECT extversion FROM pg_extension WHERE extname = 'plv8') AS plv8_version, " +
+                "EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = $1) AS schema_exists, " +
+                "(SELECT has_schema_privilege(oid, 'CREATE') FROM pg_namespace WHERE nspname = $1) AS schema_create, " +
+                "has_database_privilege(current_database(), 'CREATE') AS database_create;",
+            values: [schema]
+        });
+
+        return result.rows[0];
+    }
+}
+
+module.exports.Environment = Environment;
+module.exports.EnvironmentError = EnvironmentError;
@@ -0,0 +1,291 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const acorn = require("acorn");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Extracts the parameters and the body of JavaScript functions, so that they can be deployed with plv8.
+ * 
+ * The function source is parsed into an AST. Supported forms are function declarations and expressions,
+ * generator functions, arrow functions (including the ones with an expression body) and class or object methods.
+ * Parameters with default values, destructured parameters and rest parameters are supported as well.
+ * Since a plv8 function receives plain named arguments, such parameters are replaced with generated names,
+ * and the body is prefixed with statements that apply the default values and destructure the arguments.
+ */
+class FunctionParser {
+    static #ECMA_VERSION = "latest";
+
+    /** The prefix of the names generated for destructured parameters. */
+    static #ARG_NAME_PREFIX = "__pgc_arg";
+
+    /**
+     * The source is wrapped to parse different function forms: function and arrow function expressions,
+     * object methods and class methods.
+     */
+    static #WRAPPERS = [
+        { prefix: "(", suffix: ")", find: (program) => program.body[0].expression },
+        { prefix: "({", suffix: "})", find: (program) => program.body[0].expression.properties[0] },
+        { prefix: "(class {", suffix: "})", find: (program) => program.body[0].expression.body.body[0] }
+    ];
+
+    /** Parsed functions. */
+    static #cache = new WeakMap();
+
+    /** The locations of the functions in the source files. */
+    static #locations = new WeakMap();
+
+    /** The files recorded for the functions by `recordCaller()`, they are searched first. */
+    static #callerFiles = new WeakMap();
+
+    /** The contents of the searched source files, `null` if a file can't be read. */
+    static #fileContents = new Map();
+
+    /**
+     * Parses a function.
+     * 
+     * @param {Function} func - A function object.
+     * @returns {Object} The parsed function with the following fields: `name`, `source` (the source the `node`
+     * positions refer to), `prefixLength` (the length of the wrapper the `source` starts with), `node` (the AST
+     * node of the function), `argNames`, `requiredArgsCnt` (the number of arguments without default values),
+     * `rest` (whether the last argument is a rest parameter), `generator`, `body` (the body with the statements
+     * that apply default values and destructure arguments) and `bodyOffset` (the position in the function source
+     * where the lines of the body start).
+     */
+    static parse(func) {
+        let parsed = FunctionParser.#cache.get(func);
+
+        if (parsed == undefined) {
+            parsed = FunctionParser.#parse(func);
+            FunctionParser.#cache.set(func, parsed);
+        }
+
+        return parsed;
+    }
+
+    static #parse(func) {
+        if (typeof (func) != "function")
+            throw new Error("Invalid function object. Make sure to pass a valid function");
+
+        const funcStr = func.toString();
+
+        if (/^class[\s{]/.test(funcStr))
+            throw new Error("Class '" + func.name + "' can't be deployed, pass a function instead");
+
+        if (/\{\s*\[native code\]\s*\}$/.test(funcStr))
+            throw new Error("Function '" + func.name + "' is a native or bound function, its source code is not available");
+
+        const { source, node, prefixLength } = FunctionParser.#parseSource(func.name, funcStr);
+
+        let funcNode = node;
+
+        if (node.type == "Property" || node.type == "MethodDefinition") {
+            if (node.kind == "get" || node.kind == "set")
+                throw new Error("Function '" + func.name + "' is a getter or setter, plv8 can run regular functions only");
+
+            if (node.kind == "constructor")
+                throw new Error("Function '" + func.name + "' is a class constructor, plv8 can run regular functions only");
+
+            funcNode = node.value;
+        }
+
+        if (funcNode.type != "FunctionExpression" && funcNode.type != "ArrowFunctionExpression")
+            throw new Error("Failed to parse function '" + func.name + "'. The source is not a function: " + funcStr);
+
+        if (funcNode.async)
+            throw new Error("Function '" + func.name + "' is async. plv8 runs functions synchronously, remove the 'async' keyword");
+
+        let argNames = [];
+        let preamble = "";
+        let requiredArgsCnt = undefined;
+        let rest = false;
+
+        funcNode.params.forEach((param, i) => {
+            let argName;
+
+            if (param.type == "RestElement") {
+                rest = true;
+                param = param.argument;
+            }
+
+            let pattern = param;
+
+            if (param.type == "AssignmentPattern") {
+                if (requiredArgsCnt == undefined)
+                    requiredArgsCnt = i;
+
+                pattern = param.left;
+            }
+
+            if (pattern.type == "Identifier")
+                argName = pattern.name;
+            else
+                argName = FunctionParser.#ARG_NAME_PREFIX + i;
+
+            // NULL is passed for the omitted arguments and the function can't tell them from the explicit nulls,
+            // so the default value replaces both
+            if (param.type == "AssignmentPattern") {
+                preamble += "if (" + argName + " === undefined || " + argName + " === null) " +
+                    argName + " = " + source.substring(param.right.start, param.right.end) + "; ";
+            }
+
+            if (pattern.type != "Identifier")
+                preamble += "let " + source.substring(pattern.start, pattern.end) + " = " + argName + "; ";
+
+            argNames.push(argName);
+        });
+
+        if (requiredArgsCnt == undefined)
+            requiredArgsCnt = rest ? argNames.length - 1 : argNames.length;
+
+        let body;
+        let bodyOffset;
+
+        if (funcNode.body.type == "BlockStatement") {
+            body = source.substring(funcNode.body.start + 1, funcNode.body.end - 1);
+            bodyOffset = funcNode.body.start + 1 - prefixLength;
+        } else {
+            body = " return (" + source.substring(funcNode.body.start, funcNode.body.end) + "); ";
+            bodyOffset = funcNode.body.start - prefixLength;
+        }
+
+        if (preamble.length > 0)
+            body = " " + preamble + body;
+
+        return {
+            name: func.name,
+            source: source,
+            prefixLength: prefixLength,
+            node: funcNode,
+            argNames: argNames,
+            requiredArgsCnt: requiredArgsCnt,
+            rest: rest,
+            generator: funcNode.generator,
+            body: body,
+            bodyOffset: bodyOffset
+        };
+    }
+
+    /**
+     * Finds the file where the function is defined. The source of the function is searched in the files recorded
+     * by `recordCaller()` first and then in the loaded modules, thus, the function is not found if its source was
+     * transformed on load (for instance, by a transpiler). Every file is read once.
+     * 
+     * @param {Function} func - A function object.
+     * @returns {{file: string, line: number, column: number} | undefined} The file and the position
+     * (1-based) where the function source starts, or `undefined` if the function is not found.
+     */
+    static locate(func) {
+        if (FunctionParser.#locations.has(func))
+            return FunctionParser.#locations.get(func);
+
+        const funcStr = func.toString();
+        let location = undefined;
+
+        const files = new Set(FunctionParser.#callerFiles.get(func));
+
+        if (require.main != undefined)
+            files.add(require.main.filename);
+
+        Object.keys(require.cache).forEach(file => files.add(file));
+
+        for (const file of files) {
+            const content = FunctionParser.#readFile(file);
+            const index = content != null ? content.indexOf(funcStr) : -1;
+
+            if (index >= 0) {
+                const lines = content.substring(0, index).split("\n");
+
+                location = { file: file, line: lines.length, column: lines[lines.length - 1].length + 1 };
+                break;
+            }
+        }
+
+        FunctionParser.#locations.set(func, location);
+
+        return location;
+    }
+
+    /**
+     * Records the files of the current call stack outside of pg-compute, usually the file that defines the function
+     * or imports it, so that `locate()` doesn't have to search all the loaded modules.
+     * 
+     * @param {Function} func - A function object.
+     */
+    static recordCaller(func) {
+        if (FunctionParser.#callerFiles.has(func))
+            return;
+
+        const prepareStackTrace = Error.prepareStackTrace;
+        let callSites;
+
+        try {
+            Error.prepareStackTrace = (error, stack) => stack;
+            callSites = new Error().stack;
+        } finally {
+            Error.prepareStackTrace = prepareStackTrace;
+        }
+
+        if (!Array.isArray(callSites))
+            return;
+
+        const files = callSites.map(callSite => callSite.getFileName())
+            .filter(file => file != undefined && path.isAbsolute(file) && path.dirname(file) != __dirname);
+
+        FunctionParser.#callerFiles.set(func, [...new Set(files)]);
+    }
+
+    static #readFile(file) {
+        let content = FunctionParser.#fileContents.get(file);
+
+        if (content === undefined) {
+            try {
+                content = fs.readFileSync(file, "utf8");
+            } catch (error) {
+                content = null;
+            }
+
+            FunctionParser.#fileContents.set(file, content);
+        }
+
+        return content;
+    }
+
+    static #parseSource(funcName, funcStr) {
+        let firstError;
+
+        for (const wrapper of FunctionParser.#WRAPPERS) {
+            // The line break ends a trailing line comment, if any
+            const source = wrapper.prefix + funcStr + "\n" + wrapper.suffix;
+
+            try {
+                const program = acorn.parse(source, { ecmaVersion: FunctionParser.#ECMA_VERSION });
+
+                if (program.body.length == 1 && program.body[0].type == "ExpressionStatement")
+                    return { source: source, node: wrapper.find(program), prefixLength: wrapper.prefix.length };
+            } catch (error) {
+                if (firstError == undefined)
+                    firstError = error;
+            }
+        }
+
+        throw new Error("Failed to parse function '" + funcName + "': " +
+            (firstError != undefined ? firstError.message : "unsupported function form"));
+    }
+}
+
+module.exports.FunctionParser = FunctionParser;
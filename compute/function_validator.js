@@ -0,0 +1,194 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const walk = require("acorn-walk");
+const { isBuiltin } = require("module");
+const { FunctionParser } = require("./function_parser.js");
+
+/**
+ * Finds the code that works in Node.js but can't run in plv8: the Node.js APIs, async code, dynamic imports,
+ * the modules that are not declared and the identifiers that are neither declared in the function nor included
+ * from its scope, such as the variables of the enclosing functions a closure refers to.
+ * 
+ * The functions are checked before they are deployed, so that such code fails early instead of failing
+ * the function calls in the database.
+ */
+class FunctionValidator {
+    /** The Node.js and web APIs that V8 doesn't provide, thus, they are not available in plv8. */
+    static #NODE_GLOBALS = [
+        "process", "Buffer", "global", "module", "exports", "__filename", "__dirname", "setTimeout", "setInterval",
+        "setImmediate", "clearTimeout", "clearInterval", "clearImmediate", "queueMicrotask", "structuredClone",
+        "fetch", "Request", "Response", "Headers", "FormData", "Blob", "File", "URL", "URLSearchParams",
+        "AbortController", "AbortSignal", "TextEncoder", "TextDecoder", "Event", "EventTarget", "MessageChannel",
+        "MessagePort", "BroadcastChannel", "WebSocket", "crypto", "performance", "navigator", "atob", "btoa",
+        "console"
+    ];
+
+    /** The problem of the identifiers that can be resolved with the `scope` or `globals` options. */
+    static #UNDECLARED = " is not declared in the function or in its scope";
+
+    /** The unsupported constructs and the `require()` calls of the checked functions, the key is an AST node. */
+    static #constructs = new WeakMap();
+
+    /**
+     * Checks a function and the helpers included into it.
+     * 
+     * @param {string} funcName - The function name.
+     * @param {Object} deps - The dependencies of the function, see `DependencyResolver.resolve()`.
+     * @param {Array<string>} moduleNames - The names of the declared modules.
+     * @returns {Array<{functionName: string, identifier: string, message: string, location: Object}>} The problems,
+     * empty if the function can run in plv8. The `functionName` is the function or the helper with the problem, and
+     * the `location` is the `file` (undefined if the function file is not found), the 1-based `line` and `column`.
+     */
+    static validate(funcName, deps, moduleNames) {
+        let problems = [];
+
+        deps.functions.forEach(owner => {
+            let found = FunctionValidator.#findConstructs(owner.node).map(construct => {
+                if (construct.spec === undefined)
+                    return construct;
+
+                if (construct.spec == null)
+                    return {
+                        identifier: "require", start: construct.start,
+                        message: "'require' must be called with the module name string, so that the module can be deployed"
+                    };
+
+                if (moduleNames.includes(construct.spec))
+                    return undefined;
+
+                return {
+                    identifier: "require", start: construct.start,
+                    message: isBuiltin(construct.spec) ?
+                        "'" + construct.spec + "' is a Node.js built-in module that is not available in plv8" :
+                        "module '" + construct.spec + "' is not declared with the 'modules' option"
+                };
+            }).filter(problem => problem != undefined);
+
+            deps.unresolved.filter(identifier => identifier.owner == owner).forEach(identifier => {
+                found.push({
+                    identifier: identifier.name,
+                    start: identifier.start,
+                    message: FunctionValidator.#NODE_GLOBALS.includes(identifier.name) ?
+                        "'" + identifier.name + "' is a Node.js API that is not available in plv8" :
+                        "'" + identifier.name + "'" + FunctionValidator.#UNDECLARED
+                });
+            });
+
+            found.sort((a, b) => a.start - b.start).forEach(problem => problems.push({
+                functionName: owner.name,
+                identifier: problem.identifier,
+                message: problem.message,
+                location: FunctionValidator.#getLocation(owner, problem.start)
+            }));
+        });
+
+        return problems;
+    }
+
+    /**
+     * Creates the error rejecting a function that can't run in plv8.
+     * 
+     * @param {string} funcName - The function name.
+     * @param {Array<Object>} problems - The problems found by `validate()`.
+     * @returns {Error} The error listing the problems with their locations.
+     */
+    static toError(funcName, problems) {
+        const undeclared = problems.some(problem => problem.message.endsWith(FunctionValidator.#UNDECLARED));
+
+        return new Error("Function '" + funcName + "' can't run in plv8: " +
+            problems.map(problem => problem.message + " (" + FunctionValidator.#formatLocation(problem, funcName) + ")")
+                .join("; ") +
+            (undeclared ? ". Pass the helpers, constants and the variables of the enclosing functions with the 'scope' " +
+                "option, or list the identifiers available in the database with the 'globals' option" : ""));
+    }
+
+    /**
+     * Finds the async code, the dynamic imports and the `require()` calls of a function. The `spec` of a call
+     * is the required module name, or null if the name is not a string literal.
+     */
+    static #findConstructs(funcNode) {
+        let constructs = FunctionValidator.#constructs.get(funcNode);
+
+        if (constructs != undefined)
+            return constructs;
+
+        constructs = [];
+
+        const asyncCode = (identifier, start) => constructs.push({
+            identifier: identifier,
+            start: start,
+            message: "'" + identifier + "' is not supported since plv8 runs the functions synchronously"
+        });
+
+        walk.full(funcNode, (node) => {
+            if ((node.type == "FunctionDeclaration" || node.type == "FunctionExpression" ||
+                node.type == "ArrowFunctionExpression") && node.async) {
+                asyncCode("async", node.start);
+            } else if (node.type == "AwaitExpression" || (node.type == "ForOfStatement" && node.await)) {
+                asyncCode("await", node.type == "AwaitExpression" ? node.start : node.start + "for ".length);
+            } else if (node.type == "ImportExpression") {
+                constructs.push({
+                    identifier: "import",
+                    start: node.start,
+                    message: "'import()' is not supported, declare the modules with the 'modules' option and require them"
+                });
+            } else if (node.type == "MetaProperty" && node.meta.name == "import") {
+                constructs.push({ identifier: "import.meta", start: node.start, message: "'import.meta' is not available in plv8" });
+            } else if (node.type == "CallExpression" && node.callee.type == "Identifier" && node.callee.name == "require") {
+                const arg = node.arguments[0];
+
+                constructs.push({
+                    start: node.start,
+                    spec: node.arguments.length == 1 && arg.type == "Literal" && typeof (arg.value) == "string" ? arg.value : null
+                });
+            }
+        });
+
+        FunctionValidator.#constructs.set(funcNode, constructs);
+
+        return constructs;
+    }
+
+    /**
+     * Returns the position in the source file, or in the function source if the file is unknown.
+     */
+    static #getLocation(owner, start) {
+        const lines = owner.source.substring(owner.prefixLength, start).split("\n");
+        const line = lines.length;
+        let column = lines[lines.length - 1].length + 1;
+
+        const funcLocation = FunctionParser.locate(owner.func);
+
+        if (funcLocation == undefined)
+            return { file: undefined, line: line, column: column };
+
+        if (line == 1)
+            column += funcLocation.column - 1;
+
+        return { file: funcLocation.file, line: funcLocation.line + line - 1, column: column };
+    }
+
+    static #formatLocation(problem, funcName) {
+        const location = problem.location;
+        const position = location.file != undefined ? location.file + ":" + location.line + ":" + location.column :
+            "line " + location.line + ", column " + location.column;
+
+        return problem.functionName != funcName ? position + " in '" + problem.functionName + "'" : position;
+    }
+}
+
+module.exports.FunctionValidator = FunctionValidator;
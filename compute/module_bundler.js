@@ -0,0 +1,312 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const acorn = require("acorn");
+const walk = require("acorn-walk");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { isBuiltin } = require("module");
+
+/**
+ * Bundles local modules and npm packages, so that the functions can `require()` them in the database.
+ * 
+ * A module is bundled with all the files it requires. Every file is wrapped into a CommonJS factory,
+ * and the `require()` calls of a file are resolved to the other files of the bundle. The Node.js built-in
+ * modules are not bundled since they are not available in plv8. ES modules are not supported.
+ * 
+ * The bundles are stored in the modules table. A function that requires a module gets a preamble that defines
+ * `require()`. The preamble calls the loader function once per session, the loader defines the global function
+ * that evaluates the bundles read from the modules table. This works without `plv8.start_proc` that only
+ * a superuser can configure. The preamble lists the hash codes of the required modules, thus, the function is
+ * redeployed when a module changes, and the sessions that cached an older module version load it again.
+ */
+class ModuleBundler {
+    static #ECMA_VERSION = "latest";
+
+    /** The name of the loader function, deployed to the schema of the functions. */
+    static LOADER_FUNCTION_NAME = "pg_compute_modules_init";
+
+    /** The global function that loads the modules in the database session. */
+    static #REQUIRE_FUNCTION_NAME = "__pgc_require";
+
+    /** The modules required by the functions, the key is the AST node of a function. */
+    static #requires = new WeakMap();
+
+    /**
+     * Bundles the declared modules.
+     * 
+     * @param {Array<string> | Object<string, string>} modules - The package names or the module paths, the paths
+     * are relative to the current working directory. With an object, the key is the name the functions require
+     * the module with.
+     * @returns {Array<{name: string, source: string, hashCode: string}>} The bundles.
+     */
+    static bundleAll(modules) {
+        if (modules == undefined)
+            return [];
+
+        if (typeof (modules) != "object")
+            throw new Error("Invalid modules. Pass an array of package names or module paths, or an object " +
+                "with the module names as keys");
+
+        const entries = Array.isArray(modules) ? modules.map(spec => [spec, spec]) : Object.entries(modules);
+
+        return entries.map(([name, spec]) => ModuleBundler.bundle(name, spec));
+    }
+
+    /**
+     * Bundles a module.
+     * 
+     * @param {string} name - The name the functions require the module with.
+     * @param {string} spec - The package name or the module path.
+     * @returns {{name: string, source: string, hashCode: string}} The bundle.
+     */
+    static bundle(name, spec) {
+        let entryFile;
+
+        try {
+            entryFile = require.resolve(spec, { paths: [process.cwd()] });
+        } catch (error) {
+            throw new Error("Failed to resolve module '" + name + "': " + error.message);
+        }
+
+        let files = new Map();
+        let pending = [entryFile];
+
+        while (pending.length > 0) {
+            const file = pending.shift();
+
+            if (files.has(file))
+                continue;
+
+            const bundledFile = ModuleBundler.#readFile(name, file);
+
+            files.set(file, bundledFile);
+            pending = pending.concat(Object.values(bundledFile.deps));
+        }
+
+        // The files are identified by the paths relative to the entry, so that the bundle doesn't depend on
+        // the location of the application
+        const baseDir = path.dirname(entryFile);
+        const fileId = (file) => path.relative(baseDir, file).split(path.sep).join("/");
+
+        let source = "{entry: " + JSON.stringify(fileId(entryFile)) + ", files: {\n";
+
+        files.forEach((bundledFile, file) => {
+            const deps = {};
+
+            Object.keys(bundledFile.deps).forEach(depSpec => deps[depSpec] = fileId(bundledFile.deps[depSpec]));
+
+            source += JSON.stringify(fileId(file)) + ": {deps: " + JSON.stringify(deps) +
+                ", factory: function (module, exports, require) {\n" + bundledFile.source + "\n}},\n";
+        });
+
+        source += "}}";
+
+        return { name: name, source: source, hashCode: crypto.createHash("md5").update(source).digest("hex") };
+    }
+
+    /**
+     * Reads a file and resolves its `require()` calls.
+     */
+    static #readFile(name, file) {
+        let source = fs.readFileSync(file, "utf8");
+
+        if (file.endsWith(".json"))
+            return { source: "module.exports = " + source + ";", deps: {} };
+
+        // The hashbang line of the executable scripts is not valid inside a function
+        source = source.replace(/^#!.*/, "");
+
+        let program;
+
+        try {
+            program = acorn.parse(source, { ecmaVersion: ModuleBundler.#ECMA_VERSION, allowReturnOutsideFunction: true });
+        } catch (error) {
+            throw new Error("Failed to bundle module '" + name + "'. File '" + file + "' is not a CommonJS module: " +
+                error.message);
+        }
+
+        let deps = {};
+
+        ModuleBundler.#findRequires(program).forEach(depSpec => {
+            if (isBuiltin(depSpec))
+                return;
+
+            try {
+                deps[depSpec] = require.resolve(depSpec, { paths: [path.dirname(file)] });
+            } catch (error) {
+                throw new Error("Failed to bundle module '" + name + "'. Can't resolve '" + depSpec + "' required by '" +
+                    file + "': " + error.message);
+            }
+        });
+
+        return { source: source, deps: deps };
+    }
+
+    /**
+     * Finds the modules required with a string literal, such as `require("decimal.js")`.
+     * 
+     * @param {Object} node - The AST node to search in.
+     * @returns {Array<string>} The names of the required modules.
+     */
+    static #findRequires(node) {
+        let specs = new Set();
+
+        walk.full(node, (child) => {
+            if (child.type == "CallExpression" && child.callee.type == "Identifier" && child.callee.name == "require" &&
+                child.arguments.length == 1 && child.arguments[0].type == "Literal" &&
+                typeof (child.arguments[0].value) == "string")
+                specs.add(child.arguments[0].value);
+        });
+
+        return Array.from(specs);
+    }
+
+    /**
+     * Builds the preamble of a function that requires the modules. The preamble defines `require()` that
+     * loads the declared modules only.
+     * 
+     * @param {string} funcName - The function name.
+     * @param {Array<Object>} funcNodes - The AST nodes of the function and the helpers included into it.
+     * @param {Array<Object>} bundles - The declared modules, see `bundleAll()`.
+     * @param {string} schema - The escaped schema name.
+     * @returns {string} The preamble or an empty string if the function doesn't require modules.
+     */
+    static getPreamble(funcName, funcNodes, bundles, schema) {
+        let specs = new Set();
+
+        funcNodes.forEach(funcNode => {
+            let nodeSpecs = ModuleBundler.#requires.get(funcNode);
+
+            if (nodeSpecs == undefined) {
+                nodeSpecs = ModuleBundler.#findRequires(funcNode);
+                ModuleBundler.#requires.set(funcNode, nodeSpecs);
+            }
+
+            nodeSpecs.forEach(spec => specs.add(spec));
+        });
+
+        specs = Array.from(specs);
+
+        if (specs.length == 0)
+            return "";
+
+        let hashCodes = {};
+
+        specs.forEach(spec => {
+            const bundle = bundles.find(bundle => bundle.name == spec);
+
+            if (bundle == undefined)
+                throw new Error("Function '" + funcName + "' requires module '" + spec + "' that is not declared. " +
+                    "Declare it with the 'modules' option of PgCompute");
+
+            hashCodes[spec] = bundle.hashCode;
+        });
+
+        const requireFunc = ModuleBundler.#REQUIRE_FUNCTION_NAME;
+
+        return "if (typeof " + requireFunc + " === 'undefined') plv8.find_function(" +
+            JSON.stringify(schema + "." + ModuleBundler.LOADER_FUNCTION_NAME) + ")(); " +
+            "const require = (name) => " + requireFunc + "(name, " + JSON.stringify(hashCodes) + "); ";
+    }
+
+    /**
+     * Returns the body of the loader function that defines the global `require` function of the session.
+     * 
+     * @param {string} modulesTable - The escaped name of the modules table.
+     * @returns {string} The loader body.
+     */
+    static getLoaderBody(modulesTable) {
+        return "\n    const readModule = (name) => {\n" +
+            "        const rows = plv8.execute(" + JSON.stringify("SELECT source, hashcode FROM " + modulesTable +
+                " WHERE name = $1") + ", [name]);\n\n" +
+            "        return rows.length > 0 ? { source: rows[0].source, hashCode: rows[0].hashcode } : undefined;\n" +
+            "    };\n" + ModuleBundler.#getLoaderSource();
+    }
+
+    /**
+     * Defines the global `require` function in the LOCAL mode sandbox. The modules are read from memory
+     * instead of the modules table.
+     * 
+     * @param {Object} context - The `vm` context.
+     * @param {Array<Object>} bundles - The declared modules, see `bundleAll()`.
+     */
+    static installLocally(context, bundles) {
+        const install = vm.runInContext("(function (readModule) {" + ModuleBundler.#getLoaderSource() + "})", context);
+
+        install((name) => bundles.find(bundle => bundle.name == name));
+    }
+
+    /**
+     * Returns the source that defines the global `require` function, it expects the `readModule` function
+     * returning the module source and hash code by the module name.
+     */
+    static #getLoaderSource() {
+        const requireFunc = ModuleBundler.#REQUIRE_FUNCTION_NAME;
+
+        return `
+    const cache = {};
+
+    const load = (bundle) => {
+        const modules = {};
+
+        const requireFile = (id) => {
+            if (modules[id] !== undefined)
+                return modules[id].exports;
+
+            const file = bundle.files[id];
+            const module = { exports: {} };
+
+            modules[id] = module;
+            file.factory.call(module.exports, module, module.exports, (spec) => {
+                if (file.deps[spec] === undefined)
+                    throw new Error("Cannot find module '" + spec + "' required by '" + id + "'");
+
+                return requireFile(file.deps[spec]);
+            });
+
+            return module.exports;
+        };
+
+        return requireFile(bundle.entry);
+    };
+
+    globalThis.${requireFunc} = (name, hashCodes) => {
+        if (hashCodes[name] === undefined)
+            throw new Error("Cannot find module '" + name + "'");
+
+        let cached = cache[name];
+
+        // The module is loaded again if it has been changed since it was cached
+        if (cached === undefined || cached.hashCode !== hashCodes[name]) {
+            const module = readModule(name);
+
+            if (module === undefined)
+                throw new Error("Module '" + name + "' is not deployed");
+
+            cached = { hashCode: module.hashCode, exports: load((0, eval)("(" + module.source + ")")) };
+            cache[name] = cached;
+        }
+
+        return cached.exports;
+    };
+`;
+    }
+}
+
+module.exports.ModuleBundler = ModuleBundler;
@@ -13,8 +13,20 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
-const { Deployment, DeploymentMode } = require("./deployment.js");
-const { Client, Pool } = require("pg");
+const { Deployment, DeploymentMode, ConflictPolicy } = require("./deployment.js");
+const { FunctionParser } = require("./function_parser.js");
+const { Transaction, IsolationLevel } = require("./transaction.js");
+const { Emulator, SqlFixtures } = require("./emulator.js");
+const { PgComputeError } = require("./pg_compute_error.js");
+const { ResultDecoder } = require("./result_decoder.js");
+const { ModuleBundler } = require("./module_bundler.js");
+const { DependencyResolver } = require("./dependency_resolver.js");
+const { FunctionValidator } = require("./function_validator.js");
+const { Environment, EnvironmentError } = require("./environment.js");
+const { Client, Pool, escapeIdentifier, escapeLiteral } = require("pg");
+const Cursor = require("pg-cursor");
+const EventEmitter = require("events");
+const crypto = require("crypto");
 
 /**
  * PgCompute is a client-side PostgreSQL extension that lets you execute JavaScript functions on the database side directly from the application logic.
@@ -29,23 +41,105 @@ const { Client, Pool } = require("pg");
  *   execution. In this mode, PgCompute doesn't monitor changes in function implementations 
  *   and won't attempt any redeployments.   
  * 
+ * - @type {DeploymentMode.LOCAL}: Functions are executed in Node.js with an emulated plv8 API, 
+ *   the SQL queries of the functions are passed to a handler provided with the `sqlHandler` option.
+ *   This mode is designed for unit tests of the functions that don't have access to a database.
+ * 
+ * PgCompute is an EventEmitter. It emits the `deploy`, `redeploy` and `skip` events when a function is deployed,
+ * redeployed or left as is, the `run:start` and `run:end` events (with the `duration` in milliseconds) around
+ * the function executions, and the `error` event (with the error and the execution details) when an execution fails.
+ * The `error` event is emitted only if there are listeners for it.
+ * 
  * **Note**: PgCompute relies on the plv8 extension of PostgreSQL. 
  * This extension enables JavaScript support within the database and must be installed 
  * prior to using PgCompute.
  */
-class PgCompute {
+class PgCompute extends EventEmitter {
     static #JS_TO_POSTGRES_TYPE_MAPPING = {
         "int": "int4",
         "long": "int8",
         "bigint": "bigint",
-        "float": "float4",
+        "float": "float8",
         "boolean": "bool",
         "string": "text",
         "[object Boolean]": "bool",
-        "[object Date]": "date",
-        "[object String]": "text"
+        "[object Date]": "timestamptz",
+        "[object String]": "text",
+        "[object Object]": "jsonb",
+        "[object Int8Array]": "int2[]",
+        "[object Uint8Array]": "int2[]",
+        "[object Uint8ClampedArray]": "int2[]",
+        "[object Int16Array]": "int2[]",
+        "[object Uint16Array]": "int4[]",
+        "[object Int32Array]": "int4[]",
+        "[object Uint32Array]": "int8[]",
+        "[object Float32Array]": "float4[]",
+        "[object Float64Array]": "float8[]",
+        "[object BigInt64Array]": "int8[]",
+        "[object BigUint64Array]": "numeric[]",
+        "buffer": "bytea",
+        "json": "jsonb"
+    };
+
+    /** Type names commonly used in JSDoc annotations and the Postgres types they stand for. */
+    static #JSDOC_TO_POSTGRES_TYPE_MAPPING = {
+        "number": "float8",
+        "integer": "int4",
+        "int": "int4",
+        "bigint": "int8",
+        "BigInt": "int8",
+        "string": "text",
+        "String": "text",
+        "boolean": "bool",
+        "Boolean": "bool",
+        "Date": "timestamptz",
+        "Buffer": "bytea",
+        "object": "jsonb",
+        "Object": "jsonb",
+        "Array": "jsonb",
+        "JSON": "jsonb",
+        "any": "jsonb",
+        "*": "jsonb",
+        "number[]": "float8[]",
+        "Array<number>": "float8[]",
+        "string[]": "text[]",
+        "Array<string>": "text[]"
     };
 
+    /** The return type of generator functions that don't declare one. */
+    static #GENERATOR_RETURN_TYPE = "setof jsonb";
+
+    /** The number of rows fetched at once by `stream()`. */
+    static #STREAM_BATCH_SIZE = 100;
+
+    /** The default number of calls sent in a single statement by `runMany()`. */
+    static #RUN_MANY_CHUNK_SIZE = 1000;
+
+    /** The maximum number of bound parameters of a statement supported by Postgres. */
+    static #MAX_BIND_PARAMETERS = 65535;
+
+    /** The types passed as text in the aggregated results of set-returning functions. */
+    static #TEXT_TRANSFERRED_TYPES = ["int8", "bigint", "numeric", "decimal"];
+
+    /** The trigger options supported by `createTrigger()`. */
+    static #TRIGGER_EVENTS = ["INSERT", "UPDATE", "DELETE", "TRUNCATE"];
+    static #TRIGGER_TIMINGS = ["BEFORE", "AFTER", "INSTEAD OF"];
+    static #TRIGGER_LEVELS = ["ROW", "STATEMENT"];
+
+    /** The function attributes supported by `define()`. */
+    static #VOLATILITIES = ["VOLATILE", "STABLE", "IMMUTABLE"];
+    static #PARALLEL_MODES = ["UNSAFE", "RESTRICTED", "SAFE"];
+    static #SECURITY_MODES = ["INVOKER", "DEFINER"];
+
+    /** The prefix of the function names derived from the function source. */
+    static #HASH_NAME_PREFIX = "pgc_";
+
+    /** The maximum length of a Postgres identifier in bytes. */
+    static #MAX_NAME_LENGTH = 63;
+
+    /** The logger used when none is provided, it discards the messages. */
+    static #SILENT_LOGGER = { debug() { }, info() { }, warn() { }, error() { } };
+
     static #MIN_INT = Math.pow(-2, 31) // -2147483648
     static #MAX_INT = Math.pow(2, 31) - 1 // 2147483647
 
@@ -65,42 +159,468 @@ class PgCompute {
     /** Deployment object for the current sesison. */
     #deployment;
 
+    /** Options of the deployment object. */
+    #deploymentOptions;
+
+    /** Executes functions in the LOCAL mode. */
+    #emulator;
+
+    /** The logger. */
+    #logger;
+
+    /** Whether the functions are deployed under the names derived from their source. */
+    #hashNames;
+
+    /** Decodes the function results. */
+    #decoder;
+
+    /** The bundled modules the functions can require. */
+    #modules;
+
+    /** The helpers and constants the functions can reference. */
+    #scope;
+
+    /** Other identifiers available to the functions in the database sessions. */
+    #globals;
+
+    /** The versions of the server and plv8 found during the initialization. */
+    #environment;
+
+    /** 
+     * Function signatures declared with `define()` or with JSDoc annotations.
+     * The key is a function object, the value is an object with the `args` and `returns` fields.
+     */
+    #definitions = new Map();
+
     /**
      * Create a new instance of PgCompute. An application can have multiple 
      * PgCompute instances in use simultaneously. This is handy for microservice architectures
      * where a single database instance is shared across several microservices. Each microservice 
      * might require its own PgCompute configuration.
      * 
-     * @param {DeploymentMode} deploymentMode - DeploymentMode.AUTO or DeploymentMode.MANUAL.
+     * @param {DeploymentMode} deploymentMode - DeploymentMode.AUTO, DeploymentMode.MANUAL or DeploymentMode.LOCAL.
      * @param {string} dbSchema - The database schema name where functions will be created and maintained. 
+     * @param {Object} [options] - Additional options.
+     * @param {ConflictPolicy} [options.conflictPolicy] - What to do in the AUTO mode when a function is redeployed
+     * with a different implementation by another application instance. `ConflictPolicy.USE_DEPLOYED` by default.
+     * @param {number} [options.syncInterval] - How often (in milliseconds) to check whether functions were redeployed
+     * by other application instances. 5000 by default. With 0, the check happens before every function call.
+     * @param {function(string, Array): any | {execute: function(string, Array): any}} [options.sqlHandler] - Executes
+     * the SQL queries of the functions in the LOCAL mode. It's a function or an object with the `execute` method,
+     * such as `SqlFixtures`, that returns an array of rows or the number of affected rows, like `plv8.execute()` does.
+     * @param {function(string, string)} [options.onMessage] - Receives the level and the message of `plv8.elog()`
+     * calls in the LOCAL mode. The messages are passed to the logger by default.
+     * @param {Object} [options.logger] - The logger with the `debug`, `info`, `warn` and `error` methods that accept
+     * a message, such as a pino or winston logger or the console. The messages are discarded by default.
+     * @param {boolean} [options.hashNames] - If true, the functions are deployed under the names derived from
+     * the hash of their source, such as `pgc_<hash>`, instead of the function names. Anonymous functions are always
+     * deployed under such names.
+     * @param {function(string, any): any} [options.reviver] - Converts the values of the JSON results of all
+     * the functions, called like the reviver of `JSON.parse()`. For instance, `ResultDecoder.reviveDates` turns
+     * the ISO timestamps into `Date`s. A function can have its own reviver, see `define()`.
+     * @param {function(string): any} [options.decimal] - Converts the `numeric` results, such as
+     * `(value) => new Decimal(value)`. The numeric results are returned as strings by default.
+     * @param {Array<string> | Object<string, string>} [options.modules] - The npm packages and local modules
+     * the functions can `require()`. An array of package names or module paths, or an object where the key is
+     * the name the functions require the module with and the value is a package name or a module path.
+     * The paths are relative to the current working directory. See `deployModules()`.
+     * @param {Object} [options.scope] - The helper functions, classes and constants the functions can reference,
+     * such as the exports of a module. The referenced ones are included into the deployed functions, see `define()`.
+     * @param {Array<string>} [options.globals] - Other identifiers available to the functions in the database
+     * sessions, for instance, the ones defined by `plv8.start_proc`. The checks of `validate()` allow these
+     * identifiers, even the names of the Node.js APIs.
      */
-    constructor(deploymentMode = DeploymentMode.AUTO, dbSchema = "public") {
+    constructor(deploymentMode = DeploymentMode.AUTO, dbSchema = "public", options = {}) {
+        super();
+
         this.#dbSchema = dbSchema;
         this.#deploymentMode = deploymentMode;
+        this.#logger = options.logger != undefined ? options.logger : PgCompute.#SILENT_LOGGER;
+        this.#hashNames = options.hashNames == true;
+        this.#decoder = new ResultDecoder({
+            reviver: PgCompute.#checkFunctionOption("reviver", options.reviver),
+            decimal: PgCompute.#checkFunctionOption("decimal", options.decimal)
+        });
+        this.#modules = ModuleBundler.bundleAll(options.modules);
+        this.#scope = PgCompute.#checkScope(options.scope);
+
+        if (options.globals != undefined && (!Array.isArray(options.globals) ||
+            options.globals.some(name => typeof (name) != "string")))
+            throw new Error("Invalid globals. Pass an array of identifier names");
+
+        this.#globals = options.globals != undefined ? options.globals : [];
+        this.#deploymentOptions = {
+            conflictPolicy: options.conflictPolicy,
+            syncInterval: options.syncInterval,
+            logger: this.#logger,
+            onEvent: (event, details) => this.emit(event, details)
+        };
+
+        if (deploymentMode == DeploymentMode.LOCAL) {
+            this.#emulator = new Emulator({
+                sqlHandler: options.sqlHandler,
+                modules: this.#modules,
+                onMessage: options.onMessage != undefined ? options.onMessage :
+                    (level, message) => this.#logger.debug(level + ": " + message)
+            });
+        }
     }
 
     /**
-     * Initialize the PgCompute instance.
+     * Initialize the PgCompute instance. In the AUTO mode, the modules are deployed as well.
+     * 
+     * Before anything is created, the database is checked: the plv8 extension must be available on the server
+     * and installed in the database, and the role must have the CREATE privilege on the schema (or on the database
+     * if the schema doesn't exist). If some requirements are not met, an `EnvironmentError` listing all of them
+     * is thrown. The versions of the server and plv8 are available with `environment()` afterwards.
+     * 
+     * The functions passed with the `functions` option are registered during the initialization, see `register()`,
+     * so that the application fails on startup rather than on the first call if a function can't be deployed.
+     * In the LOCAL mode, the functions are validated and registered in the emulator.
      * 
      * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module. After initialization, 
      * PgCompute does not retain this instance internally. If a Pool instance is provided, the connection is returned 
      * to the Pool after use.
+     * @param {Object} [options] - Additional options.
+     * @param {Array<Object>} [options.functions] - The functions to validate and deploy up front.
+     * @param {boolean} [options.createExtension] - If true, the plv8 extension is created with `CREATE EXTENSION`
+     * if it's available but not installed in the database.
+     * 
+     * @returns {Array<{functionName: string, args: string, action: string}> | undefined} The registered functions,
+     * see `register()`, or `undefined` if no functions are passed or in the LOCAL mode.
+     * @throws {EnvironmentError} If the database doesn't meet the requirements.
      */
-    async init(dbClient) {
+    async init(dbClient, options = {}) {
+        const functions = PgCompute.#checkFunctions(options.functions);
+
+        // No database is used in the LOCAL mode
+        if (this.#emulator != undefined) {
+            if (functions != undefined)
+                functions.forEach(plv8Func => this.#emulator.register(this.#describeFunction(plv8Func)));
+
+            return undefined;
+        }
+
         if (dbClient == undefined)
             throw new Error("Undefined client connection. Make sure to pass a valid client connection");
 
-        let connection = await this.#getConnection(dbClient);
+        // The functions are validated before anything is deployed
+        const funcs = functions != undefined ? functions.map(plv8Func => this.#describeDeclaredFunction(plv8Func)) : [];
 
-        this.#deployment = new Deployment(this.#deploymentMode, this.#dbSchema);
+        let connection = await this.#getConnection(dbClient);
 
         try {
+            this.#environment = await Environment.check(connection, this.#dbSchema,
+                { createExtension: options.createExtension == true });
+
+            this.#logger.info("Connected to PostgreSQL " + this.#environment.server_version + " with plv8 " +
+                this.#environment.plv8_version);
+
+            this.#deployment = new Deployment(this.#deploymentMode, this.#dbSchema, this.#deploymentOptions);
             await this.#deployment.init(connection);
+
+            if (this.#deploymentMode == DeploymentMode.AUTO && this.#modules.length > 0)
+                await this.#deployment.deployModules(connection, this.#modules);
+
+            if (functions != undefined)
+                return await this.#register(connection, funcs);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Get the environment found during the initialization.
+     * 
+     * @returns {{plv8_version: string, server_version: string, server_version_num: number, database: string,
+     * role: string, schema: string} | undefined} The versions of plv8 and the server, the database, the role
+     * and the schema, or `undefined` before the initialization and in the LOCAL mode.
+     */
+    environment() {
+        return this.#environment != undefined ? Object.assign({}, this.#environment) : undefined;
+    }
+
+    /**
+     * Deploy the modules declared with the `modules` option, regardless of the deployment mode. The modules
+     * are bundled with all the files they require and stored in the modules table, the AUTO mode deploys
+     * them during the initialization.
+     * ```
+     * const compute = new PgCompute(DeploymentMode.AUTO, "public", { modules: { money: "./lib/money.js" } });
+     * 
+     * function applyTax(amount) {
+     *     return require("money").round(amount * 1.2);
+     * }
+     * ```
+     * 
+     * A function that requires a module gets a preamble that defines `require()` in the database, the modules
+     * are evaluated once per database session. The preamble includes the hash codes of the required modules,
+     * thus, the function is redeployed when a module changes. Only the modules required with a string literal
+     * are found, and Node.js built-in modules are not available.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * 
+     * @returns {Array<{name: string, action: string}>} The modules and the actions taken: `created`, `redeployed`
+     * or `unchanged`.
+     */
+    async deployModules(dbClient) {
+        this.#checkDatabaseMode("deployModules");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#deployment.deployModules(connection, this.#modules);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Deploy several functions up front, regardless of the deployment mode. By default, a function is deployed
+     * on its first call, so the first request pays for the deployment and fails if the function can't be deployed.
+     * Register the functions on startup instead:
+     * ```
+     * const deployed = await compute.register(pool, [withdraw, deposit, getBalance]);
+     * ```
+     * 
+     * All the functions are validated first, see `validate()`, and nothing is deployed if any of them is invalid.
+     * Then the functions are deployed in a single transaction, thus, either all of them are deployed or none.
+     * As long as there are no argument values to infer the types from, the types of all the function arguments
+     * must be declared with `define()` or JSDoc annotations. The functions can also be passed to `init()` with
+     * the `functions` option.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Array<Object>} plv8Funcs - The function objects.
+     * 
+     * @returns {Array<{functionName: string, args: string, action: string}>} The name the function is deployed
+     * under, its arguments and the action taken: `created`, `redeployed` or `unchanged`.
+     */
+    async register(dbClient, plv8Funcs) {
+        this.#checkDatabaseMode("register");
+
+        const funcs = PgCompute.#checkFunctions(plv8Funcs).map(plv8Func => this.#describeDeclaredFunction(plv8Func));
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#register(connection, funcs);
         } finally {
             this.#releaseConnection(dbClient, connection);
         }
     }
 
+    /**
+     * Deploys the described functions in a transaction.
+     */
+    async #register(connection, funcs) {
+        const registered = await Transaction.execute(this, connection, {}, async () => {
+            let results = [];
+
+            for (const { func, funcArgs } of funcs) {
+                let deployed;
+
+                try {
+                    deployed = await this.#deployment.deploy(connection, func.name, funcArgs, func.body,
+                        { returns: func.definition.returns, attributes: func.definition.attributes, declaredArgs: true });
+                } catch (error) {
+                    throw new Error("Failed to register function '" + func.name + "': " + error.message, { cause: error });
+                }
+
+                results.push({ functionName: func.name, args: deployed.args, action: deployed.action });
+            }
+
+            return results;
+        }, () => this.#deployment.checkpoint(), this.#logger);
+
+        this.#logger.info("Registered the functions: " +
+            ["created", "redeployed", "unchanged"].map(action =>
+                registered.filter(result => result.action == action).length + " " + action).join(", "));
+
+        return registered;
+    }
+
+    /**
+     * Validates the list of functions to register and records the files of the caller, see `FunctionParser.locate()`.
+     */
+    static #checkFunctions(plv8Funcs) {
+        if (plv8Funcs != undefined && (!Array.isArray(plv8Funcs) || plv8Funcs.some(plv8Func => typeof (plv8Func) != "function")))
+            throw new Error("Invalid functions. Pass an array of function objects");
+
+        if (plv8Funcs != undefined)
+            plv8Funcs.forEach(plv8Func => FunctionParser.recordCaller(plv8Func));
+
+        return plv8Funcs;
+    }
+
+    /**
+     * Declare the signature of a function. By default, PgCompute infers the types of the function
+     * arguments from the values passed during the first call, and the function returns JSON.
+     * The declared types are used instead when the function is deployed and executed.
+     * 
+     * The signature can also be declared with the JSDoc annotations that are put inside the function:
+     * ```
+     * function calc(a, b) {
+     *     /**
+     *      * @param {numeric} a
+     *      * @param {text[]} b
+     *      * @returns {int8}
+     *      *\/
+     *     ...
+     * }
+     * ```
+     * 
+     * The function attributes, such as the volatility or the parallel safety, are declared with `define()` only.
+     * The function is redeployed when its attributes change.
+     * 
+     * The results are decoded according to the declared return type: `int8` values are returned as `BigInt`s,
+     * timestamps as `Date`s, `bytea` values as `Buffer`s. The JSON results are passed to the reviver, and the fields
+     * listed in the `shape` option are decoded according to their types. The shape applies to the result object or
+     * to every object of the result array, such as the rows of `plv8.execute()`:
+     * ```
+     * compute.define(getOrders, { shape: { id: "int8", createdAt: "timestamptz", total: "numeric" } });
+     * ```
+     * 
+     * The omitted arguments are passed as NULLs. Unlike in JavaScript, an argument with a default value gets it
+     * when it's omitted or null, since a database function can't tell an omitted argument from an explicit null.
+     * The LOCAL mode does the same.
+     * 
+     * The function can call helper functions and use constants defined outside of it. The identifiers the function
+     * references but doesn't declare are resolved from the `scope` object of the function and then from the `scope`
+     * option of PgCompute, and the helpers and constants are deployed together with the function:
+     * ```
+     * const TAX_RATE = 0.2;
+     * const roundCents = (amount) => Math.round(amount * 100) / 100;
+     * 
+     * compute.define(calcTax, { scope: { TAX_RATE, roundCents } });
+     * ```
+     * 
+     * The constants are copied by value, and the helpers are analyzed the same way, so the helpers they reference
+     * are included as well. The function is redeployed when a helper or a constant changes. If an identifier can't
+     * be resolved, the function fails before it's deployed, see `validate()`.
+     * 
+     * By default, the function is deployed under its own name. Use the `name` option to deploy it under another
+     * name, for instance, if the name was shortened by a minifier. The names are case-sensitive.
+     * 
+     * @param {Object} plv8Func - A function object.
+     * @param {Object} signature - The function signature.
+     * @param {string} [signature.name] - The name the function is deployed under.
+     * @param {Object<string, string>} [signature.args] - Postgres types of the arguments, the key is an argument name.
+     * The types of the omitted arguments are inferred from the argument values.
+     * @param {string} [signature.returns] - Postgres return type. `JSON` is used by default.
+     * @param {string} [signature.volatility] - `VOLATILE` (default), `STABLE` or `IMMUTABLE`.
+     * @param {string} [signature.parallel] - `UNSAFE` (default), `RESTRICTED` or `SAFE`.
+     * @param {boolean} [signature.strict] - If true, the function is not called and returns null if any argument
+     * is null, including the omitted arguments with default values.
+     * @param {string} [signature.security] - `INVOKER` (default) or `DEFINER`.
+     * @param {number} [signature.cost] - The estimated execution cost.
+     * @param {number} [signature.rows] - The estimated number of rows of a set-returning function.
+     * @param {string | Array<string>} [signature.searchPath] - The `search_path` the function is executed with,
+     * recommended for `SECURITY DEFINER` functions.
+     * @param {Object<string, any>} [signature.set] - Other configuration parameters the function is executed with.
+     * @param {function(string, any): any} [signature.reviver] - Converts the values of the JSON results, called like
+     * the reviver of `JSON.parse()`. Overrides the reviver set for all the functions.
+     * @param {Object<string, string>} [signature.shape] - Postgres types of the fields of the JSON results.
+     * @param {Object} [signature.scope] - The helper functions, classes and constants the function can reference.
+     */
+    define(plv8Func, signature = {}) {
+        const argNames = FunctionParser.parse(plv8Func).argNames;
+        FunctionParser.recordCaller(plv8Func);
+        let argTypes = undefined;
+
+        if (signature.args != undefined) {
+            Object.keys(signature.args).forEach(argName => {
+                if (!argNames.includes(argName))
+                    throw new Error("Function '" + plv8Func.name + "' doesn't have argument '" + argName + "'");
+            });
+
+            argTypes = argNames.map(argName => signature.args[argName]);
+        }
+
+        if (signature.name != undefined && (typeof (signature.name) != "string" || signature.name == "" ||
+            Buffer.byteLength(signature.name) > PgCompute.#MAX_NAME_LENGTH))
+            throw new Error("Invalid function name '" + signature.name + "'. It must be a non-empty string of up to " +
+                PgCompute.#MAX_NAME_LENGTH + " bytes");
+
+        if (signature.shape != undefined && (typeof (signature.shape) != "object" ||
+            Object.values(signature.shape).some(pgType => typeof (pgType) != "string")))
+            throw new Error("Invalid shape. Pass an object with the Postgres types of the result fields, " +
+                "such as { createdAt: 'timestamptz' }");
+
+        this.#definitions.set(plv8Func, {
+            name: signature.name,
+            args: argTypes,
+            returns: signature.returns,
+            attributes: PgCompute.#getFunctionAttributes(signature),
+            reviver: PgCompute.#checkFunctionOption("reviver", signature.reviver),
+            shape: signature.shape,
+            scope: PgCompute.#checkScope(signature.scope)
+        });
+
+        // Let other functions find the defined one with plv8.find_function()
+        if (this.#emulator != undefined)
+            this.#emulator.register(this.#describeFunction(plv8Func));
+    }
+
+    /**
+     * Validates the scope of the helpers and constants.
+     */
+    static #checkScope(scope) {
+        if (scope != undefined && typeof (scope) != "object" && typeof (scope) != "function")
+            throw new Error("Invalid scope. Pass an object with the helpers and constants, such as the exports of a module");
+
+        return scope;
+    }
+
+    /**
+     * Check whether a function can run in plv8. The function and the helpers included into it are checked for
+     * the code that works in Node.js only: the Node.js APIs such as `process`, `Buffer`, `setTimeout` or `fetch`,
+     * async functions and `await`, dynamic imports, the modules that are not declared with the `modules` option,
+     * and the identifiers that are neither declared in the function nor passed with the `scope` option, such as
+     * the variables of the enclosing function a closure refers to. The identifiers listed in the `globals` option
+     * are allowed.
+     * 
+     * The same checks run before a function is deployed or executed, and the function fails with an error listing
+     * the problems. Call this method in tests to check the functions without a database:
+     * ```
+     * expect(compute.validate(calcTax)).toEqual([]);
+     * ```
+     * 
+     * @param {Object} plv8Func - A function object.
+     * @returns {Array<{functionName: string, identifier: string, message: string, location: Object}>} The problems,
+     * empty if the function can run in plv8. The `functionName` is the function or the included helper with
+     * the problem, the `identifier` is the offending identifier or keyword, and the `location` is the `file`
+     * (undefined if the function file is not found), the 1-based `line` and `column`.
+     * @throws {Error} If the function can't be parsed or the values of its scope can't be included.
+     */
+    validate(plv8Func) {
+        const parsed = FunctionParser.parse(plv8Func);
+        const definition = this.#getDefinition(plv8Func, parsed);
+        const funcName = this.#getDeployedName(plv8Func, parsed, definition);
+
+        return this.#validate(plv8Func, funcName, parsed, definition).problems;
+    }
+
+    /**
+     * Resolves the dependencies of a function and checks the function with the included helpers.
+     */
+    #validate(plv8Func, funcName, parsed, definition) {
+        const deps = DependencyResolver.resolve(plv8Func, funcName, parsed, [definition.scope, this.#scope], this.#globals);
+        const problems = FunctionValidator.validate(funcName, deps, this.#modules.map(bundle => bundle.name));
+
+        return { deps: deps, problems: problems };
+    }
+
+    /**
+     * Validates an option that must be a function.
+     */
+    static #checkFunctionOption(name, value) {
+        if (value != undefined && typeof (value) != "function")
+            throw new Error("Invalid " + name + " option. Make sure to pass a valid function");
+
+        return value;
+    }
+
     /**
      * Execute a function on the database.
      * 
@@ -110,136 +630,1318 @@ class PgCompute {
      * @param {Object} plv8Func - A function object intended for execution.
      * @param {...any} args - Optional arguments for the function.
      * 
-     * @returns {any} The result of the executed function, specific to the function's behavior.
+     * @returns {any} The result of the executed function decoded according to the declared return type,
+     * see `define()`.
+     * @throws {PgComputeError} If the function fails during the execution.
      */
     async run(dbClient, plv8Func, ...args) {
-        let connection = await this.#getConnection(dbClient);
+        const described = this.#tryDescribeFunction(plv8Func);
 
-        try {
-            const funcStr = plv8Func.toString();
+        return await this.#track("run", [described], async () => {
+            if (this.#emulator != undefined)
+                return this.#runLocally(plv8Func, described.func, args);
 
-            const funcName = plv8Func.name;
-            const funcArgsCnt = plv8Func.length;
+            let connection = await this.#getConnection(dbClient);
 
-            const funcBody = funcStr.substring(
-                funcStr.indexOf("{") + 1,
-                funcStr.lastIndexOf("}")
-            );
+            try {
+                const execution = await this.#prepareExecution(connection, described.func, args);
 
-            if ((funcArgsCnt > 0 && args === undefined) || (args !== undefined && args.length != funcArgsCnt)) {
-                throw new Error("Function arguments mismatch. Expected " + funcArgsCnt + ", received " + args.length);
-            }
+                let result;
 
-            let funcExecStmt;
+                try {
+                    result = await connection.query(execution.stmt);
+                } catch (error) {
+                    throw PgComputeError.fromError(error, plv8Func, execution.funcName);
+                }
 
-            if (funcArgsCnt > 0) {
-                const argNames = PgCompute.#parseFunctionArguments(funcStr);
+                if (execution.setReturning)
+                    return result.rows.map(execution.readRow);
 
-                await this.#checkFunctionWithArgsExists(connection, funcName, funcBody, argNames, args);
-                funcExecStmt = PgCompute.#prepareExecStmtWithArgs(this.#dbSchema, funcName, args);
-            } else {
-                await this.#checkFunctionExists(connection, funcName, funcBody);
-                funcExecStmt = PgCompute.#prepareExecStmt(this.#dbSchema, funcName);
+                return execution.readRow(result.rows[0]);
+            } finally {
+                this.#releaseConnection(dbClient, connection);
             }
+        });
+    }
+
+    /**
+     * Execute a set-returning function on the database and stream its rows.
+     * 
+     * A function is set-returning if it's a generator function or its declared return type is
+     * `setof ...` or `table(...)`. Generator functions are deployed as `returns setof jsonb` by default,
+     * every yielded value becomes a row of the result set.
+     * 
+     * The rows are fetched with a cursor in batches, the next batch is requested only after
+     * the previous one has been consumed.
+     * ```
+     * for await (const row of compute.stream(dbClient, generateRows, 1000)) {
+     *     ...
+     * }
+     * ```
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module. The connection
+     * is used until the iteration is over. If a Pool instance is provided, the connection is returned to the Pool
+     * after that.
+     * @param {Object} plv8Func - A function object intended for execution.
+     * @param {...any} args - Optional arguments for the function.
+     * 
+     * @returns {AsyncIterableIterator<any>} The rows of the result set.
+     * @throws {PgComputeError} If the function fails during the execution.
+     */
+    async *stream(dbClient, plv8Func, ...args) {
+        const described = this.#tryDescribeFunction(plv8Func);
+        const execution = { method: "stream", functionName: described.name };
+        const startTime = Date.now();
+        let failed = false;
+
+        this.emit("run:start", execution);
 
-            let result = await connection.query(funcExecStmt);
+        try {
+            if (described.error != undefined)
+                throw described.error;
 
-            return result.rows[0][funcName.toLowerCase()];
+            yield* this.#stream(dbClient, plv8Func, described.func, args);
+        } catch (error) {
+            failed = true;
+            this.#emitError(error, execution);
+            throw error;
         } finally {
-            this.#releaseConnection(dbClient, connection);
+            // The iteration might also be stopped early by the caller
+            if (!failed)
+                this.emit("run:end", Object.assign({ duration: Date.now() - startTime }, execution));
         }
     }
 
-    async #getConnection(dbClient) {
-        let connection;
+    async *#stream(dbClient, plv8Func, func, args) {
+        if (this.#emulator != undefined) {
+            const result = this.#runLocally(plv8Func, func, args);
 
-        if (dbClient instanceof Pool)
-            connection = await dbClient.connect();
-        else
-            connection = dbClient;
+            if (Array.isArray(result) && func.setReturning)
+                yield* result;
+            else
+                yield result;
 
-        return connection;
-    }
+            return;
+        }
 
-    #releaseConnection(dbClient, connection) {
-        if (dbClient instanceof Pool && connection != undefined)
-            connection.release();
-    }
+        let connection = await this.#getConnection(dbClient);
 
-    async #checkFunctionExists(connection, funcName, funcBody) {
-        await this.#deployment.checkExists(connection, funcName, null, funcBody);
-    }
+        try {
+            const execution = await this.#prepareExecution(connection, func, args);
 
-    async #checkFunctionWithArgsExists(connection, funcName, funcBody, argsNames, argsValues) {
-        let argsStr = "";
-        let arg, pgType;
+            const cursor = connection.query(new Cursor(execution.stmt.text, execution.stmt.values));
 
-        for (let i = 0; i < argsValues.length; i++) {
-            arg = argsValues[i];
-            pgType = PgCompute.#getPostgresType(arg);
+            try {
+                let rows;
 
-            argsStr += argsNames[i] + " " + pgType + ", ";
+                do {
+                    try {
+                        rows = await cursor.read(PgCompute.#STREAM_BATCH_SIZE);
+                    } catch (error) {
+                        throw PgComputeError.fromError(error, plv8Func, execution.funcName);
+                    }
+
+                    for (const row of rows)
+                        yield execution.readRow(row);
+                } while (rows.length > 0);
+            } finally {
+                await cursor.close();
+            }
+        } finally {
+            this.#releaseConnection(dbClient, connection);
         }
+    }
 
-        argsStr = argsStr.slice(0, argsStr.length - 2).trim();
+    /**
+     * Execute several functions in a single round trip. The function calls are combined into a single
+     * statement, thus, they either all succeed or all fail together. For example:
+     * ```
+     * const [order, total] = await compute.batch(dbClient, [
+     *     [createOrder, customerId, items],
+     *     [getCustomerTotal, customerId]
+     * ]);
+     * ```
+     * 
+     * The functions that haven't been deployed or verified yet are deployed before the statement is sent.
+     * Set-returning functions return their rows as an array. The rows are decoded according to the declared
+     * return type like the rows of `stream()`, so, for instance, the int8 values are returned as `BigInt`s and
+     * the timestamp columns of `table(...)` functions are returned as `Date`s.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module. If a Pool instance
+     * is provided, the connection is returned to the Pool after use.
+     * @param {Array<Array>} calls - The function calls, every call is an array with a function object followed
+     * by the function arguments.
+     * @returns {Array<any>} The results of the functions in the order of the calls.
+     */
+    async batch(dbClient, calls) {
+        if (!Array.isArray(calls) || calls.some(call => !Array.isArray(call) || call.length == 0))
+            throw new Error("Invalid batch. Pass an array of calls, every call is an array with a function " +
+                "object followed by the function arguments");
 
-        await this.#deployment.checkExists(connection, funcName, argsStr, funcBody);
-    }
+        if (calls.length == 0)
+            return [];
 
-    static #prepareExecStmt(schema, funcName) {
-        return "select " + schema + "." + funcName + "();"
-    }
+        const described = calls.map(([plv8Func]) => this.#tryDescribeFunction(plv8Func));
 
-    static #prepareExecStmtWithArgs(schema, funcName, argsValues) {
-        let argsStr = "";
-        let pgType;
+        return await this.#track("batch", described, async () => {
+            if (this.#emulator != undefined)
+                return calls.map(([plv8Func, ...args], i) => this.#runLocally(plv8Func, described[i].func, args));
 
-        argsValues.forEach(arg => {
-            pgType = PgCompute.#getPostgresType(arg);
+            let connection = await this.#getConnection(dbClient);
 
-            if (pgType == "text")
-                argsStr += "'" + arg + "',";
-            else
-                argsStr += arg + ",";
-        });
+            try {
+                let columns = [];
+                let values = [];
+                let executions = [];
 
-        argsStr = argsStr.slice(0, argsStr.length - 1);
+                for (const [i, call] of calls.entries()) {
+                    const execution = await this.#prepareExecution(connection, described[i].func, call.slice(1), values.length);
+                    executions.push(execution);
+                    columns.push(PgCompute.#getValueExpression(execution.call.expr, execution.setReturning,
+                        execution.returns) + " as \"" + columns.length + "\"");
+
+                    values = values.concat(execution.call.values);
+                }
+
+                const result = await connection.query({ text: "select " + columns.join(", ") + ";", values: values });
 
-        return "select " + schema + "." + funcName + "(" + argsStr + ");"
+                return calls.map((call, i) => executions[i].decode(result.rows[0][String(i)]));
+            } finally {
+                this.#releaseConnection(dbClient, connection);
+            }
+        });
     }
 
-    static #parseFunctionArguments(funcStr) {
-        const funcArgs = funcStr.substring(funcStr.indexOf("(") + 1, funcStr.indexOf(")")).split(",");
+    /**
+     * Execute a function for many argument tuples. The tuples are sent in a single statement per chunk
+     * instead of a round trip per call:
+     * ```
+     * const totals = await compute.runMany(pool, calcTotal, [[1, 10], [2, 20], [3, 30]]);
+     * ```
+     * 
+     * The function is deployed and its argument types are resolved with the first tuple. If some calls fail,
+     * the calls of the failed chunk are retried one by one to find out which of them failed, and an error with 
+     * the `errors` field (an array of `{index, error}` objects) and the `results` field (the results of the
+     * succeeded calls) is thrown.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module. If a Pool instance
+     * is provided, the connection is returned to the Pool after use.
+     * @param {Object} plv8Func - A function object intended for execution.
+     * @param {Array<Array>} argsList - The argument tuples.
+     * @param {Object} [options] - Additional options.
+     * @param {number} [options.chunkSize] - The maximum number of calls sent in a single statement, 1000 by default.
+     * The chunks are also limited by the number of bound parameters a statement can have.
+     * @returns {Array<any>} The results of the calls in the order of the argument tuples.
+     */
+    async runMany(dbClient, plv8Func, argsList, options = {}) {
+        if (!Array.isArray(argsList) || argsList.some(args => !Array.isArray(args)))
+            throw new Error("Invalid arguments list. Pass an array of argument arrays, one per function call");
 
-        for (let i = 0; i < funcArgs.length; i++)
-            funcArgs[i] = funcArgs[i].trim();
+        if (argsList.length == 0)
+            return [];
 
-        return funcArgs;
-    }
+        const described = this.#tryDescribeFunction(plv8Func);
 
-    static #getPostgresType(arg) {
-        let type = typeof (arg);
-        let pgType = undefined;
+        return await this.#track("runMany", [described], async () => {
+            let results = new Array(argsList.length);
+            let errors = [];
 
-        if (type == "number") {
-            if (Number.isInteger(arg)) {
-                pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[arg < PgCompute.#MIN_INT || arg > PgCompute.#MAX_INT ? "long" : "int"];
+            if (this.#emulator != undefined) {
+                argsList.forEach((args, i) => {
+                    try {
+                        results[i] = this.#runLocally(plv8Func, described.func, args);
+                    } catch (error) {
+                        errors.push({ index: i, error: error });
+                    }
+                });
             } else {
-                pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["float"];
+                let connection = await this.#getConnection(dbClient);
+
+                try {
+                    const execution = await this.#prepareExecution(connection, described.func, argsList[0]);
+
+                    const chunkSize = Math.max(1, Math.min(
+                        options.chunkSize != undefined ? options.chunkSize : PgCompute.#RUN_MANY_CHUNK_SIZE,
+                        Math.floor(PgCompute.#MAX_BIND_PARAMETERS / Math.max(execution.call.values.length, 1))));
+
+                    for (let start = 0; start < argsList.length; start += chunkSize) {
+                        const end = Math.min(start + chunkSize, argsList.length);
+
+                        await this.#runChunk(connection, plv8Func, execution, argsList, start, end, results, errors);
+                    }
+                } finally {
+                    this.#releaseConnection(dbClient, connection);
+                }
             }
-        } else if (type == "object") {
-            type = Object.prototype.toString.call(arg);
-            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[type];
-        } else {
-            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[type];
+
+            if (errors.length > 0) {
+                const error = new Error(errors.length + " of " + argsList.length + " calls of function '" +
+                    described.name + "' failed. The first failed call #" + errors[0].index + ": " + errors[0].error.message);
+
+                error.errors = errors;
+                error.results = results;
+                throw error;
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * Emits the `run:start` and `run:end` events around the execution, and the `error` event if it fails.
+     * The execution fails with the error of the first function that can't be described.
+     * 
+     * @param {Array<Object>} described - The executed functions, see `#tryDescribeFunction()`.
+     */
+    async #track(method, described, execute) {
+        const execution = { method: method, functionName: described.map(func => func.name).join(", ") };
+        const startTime = Date.now();
+
+        this.emit("run:start", execution);
+
+        try {
+            const failed = described.find(func => func.error != undefined);
+
+            if (failed != undefined)
+                throw failed.error;
+
+            const result = await execute();
+
+            this.emit("run:end", Object.assign({ duration: Date.now() - startTime }, execution));
+
+            return result;
+        } catch (error) {
+            this.#emitError(error, execution);
+            throw error;
         }
+    }
 
-        if (pgType == undefined)
-            throw new Error("Unsupported argument type: " + type);
+    /**
+     * Describes the executed function once, so that the description is shared by the events and the execution.
+     * 
+     * @returns {{name: string, func: Object, error: Error}} The name the function is deployed under and the
+     * description, see `#describeFunction()`. If the function can't be described, the function object name and
+     * the error the execution fails with.
+     */
+    #tryDescribeFunction(plv8Func) {
+        try {
+            const func = this.#describeFunction(plv8Func);
 
-        return pgType;
+            return { name: func.name, func: func, error: undefined };
+        } catch (error) {
+            return { name: plv8Func != undefined ? plv8Func.name : undefined, func: undefined, error: error };
+        }
+    }
+
+    /**
+     * Emits the `error` event. Unlike other events, an `error` event without listeners would throw,
+     * so it's emitted only if somebody listens to it.
+     */
+    #emitError(error, execution) {
+        this.#logger.error("Failed to execute function '" + execution.functionName + "': " + error.message);
+
+        if (this.listenerCount("error") > 0)
+            this.emit("error", error, execution);
+    }
+
+    /**
+     * Executes the described function with the emulator in the LOCAL mode.
+     */
+    #runLocally(plv8Func, func, args) {
+        const funcArgs = PgCompute.#normalizeArgs(func, args);
+
+        let result;
+
+        try {
+            result = this.#emulator.run(func, funcArgs);
+        } catch (error) {
+            throw PgComputeError.fromError(error, plv8Func, func.name);
+        }
+
+        return this.#decoder.decode(result, func.definition.returns, func.definition);
+    }
+
+    /**
+     * Executes the calls from `start` (inclusive) to `end` (exclusive) in a single statement. If the statement
+     * fails, the calls are executed one by one, and the errors are collected per call.
+     */
+    async #runChunk(connection, plv8Func, execution, argsList, start, end, results, errors) {
+        let rows = [];
+        let values = [];
+        let calls = [];
+
+        for (let i = start; i < end; i++) {
+            try {
+                const call = execution.prepareCall(argsList[i], values.length);
+
+                rows.push("(" + i + ", " +
+                    PgCompute.#getValueExpression(call.expr, execution.setReturning, execution.returns) + ")");
+                values = values.concat(call.values);
+                calls[i] = call;
+            } catch (error) {
+                errors.push({ index: i, error: error });
+            }
+        }
+
+        if (rows.length == 0)
+            return;
+
+        const stmt = {
+            text: "select v.r from (values " + rows.join(", ") + ") as v(i, r) order by v.i;",
+            values: values
+        };
+
+        let result;
+
+        try {
+            result = await PgCompute.#queryInSavepoint(connection, stmt);
+        } catch (chunkError) {
+            this.#logger.debug("Failed to execute a chunk of calls, retrying the calls one by one: " + chunkError.message);
+
+            result = undefined;
+        }
+
+        if (result != undefined) {
+            let row = 0;
+
+            for (let i = start; i < end; i++) {
+                if (calls[i] != undefined)
+                    results[i] = execution.decode(result.rows[row++]['r']);
+            }
+
+            return;
+        }
+
+        for (let i = start; i < end; i++) {
+            if (calls[i] == undefined)
+                continue;
+
+            const call = execution.prepareCall(argsList[i], 0);
+
+            try {
+                const callResult = await PgCompute.#queryInSavepoint(connection, {
+                    text: "select " + PgCompute.#getValueExpression(call.expr, execution.setReturning, execution.returns) +
+                        " as r;",
+                    values: call.values
+                });
+
+                results[i] = execution.decode(callResult.rows[0]['r']);
+            } catch (error) {
+                errors.push({ index: i, error: PgComputeError.fromError(error, plv8Func, execution.funcName) });
+            }
+        }
+
+        errors.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Executes the statement. Within a transaction started with `transaction()`, the statement is executed
+     * in a savepoint, so that its failure doesn't abort the transaction.
+     */
+    static async #queryInSavepoint(connection, stmt) {
+        if (!Transaction.isActive(connection))
+            return await connection.query(stmt);
+
+        await connection.query("SAVEPOINT pg_compute_run_many;");
+
+        try {
+            const result = await connection.query(stmt);
+
+            await connection.query("RELEASE SAVEPOINT pg_compute_run_many;");
+
+            return result;
+        } catch (error) {
+            await connection.query("ROLLBACK TO SAVEPOINT pg_compute_run_many;");
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the expression producing the function result as a single value. The rows of set-returning
+     * functions are aggregated into an array of their type, so that the values are decoded as the rows of
+     * `stream()`. The rows of `table(...)` functions and the array rows are aggregated into a JSON array instead.
+     * The int8 and numeric values are passed as text, so that they keep the precision.
+     */
+    static #getValueExpression(callExpr, setReturning, returns) {
+        if (!setReturning)
+            return callExpr;
+
+        if (/^\s*table\b/i.test(returns)) {
+            const columns = ResultDecoder.getTableColumns(returns);
+            const selectList = Object.keys(columns).map(column => escapeIdentifier(column) +
+                PgCompute.#getTextCast(columns[column]) + " as " + escapeIdentifier(column));
+
+            return "(select coalesce(json_agg(r), '[]'::json) from (select " + selectList.join(", ") + " from " +
+                callExpr + ") r)";
+        }
+
+        const rowType = returns.trim().replace(/^setof\s+/i, "");
+
+        // The arrays of different lengths can't be aggregated into a multidimensional array
+        if (rowType.endsWith("]"))
+            return "(select coalesce(json_agg(r" + PgCompute.#getTextCast(rowType) + "), '[]'::json) from " +
+                callExpr + " r)";
+
+        return "(select coalesce(array_agg(r" + PgCompute.#getTextCast(rowType) + "), '{}') from " + callExpr + " r)";
+    }
+
+    /**
+     * Returns the cast to text for the types that lose the precision in JSON numbers and in the arrays
+     * parsed by node-postgres.
+     */
+    static #getTextCast(pgType) {
+        const baseType = pgType.trim().toLowerCase().replace(/\s*\(.*\)/, "");
+        const elementType = baseType.replace(/(\s*\[\s*\])+$/, "");
+
+        if (!PgCompute.#TEXT_TRANSFERRED_TYPES.includes(elementType))
+            return "";
+
+        return elementType != baseType ? "::text[]" : "::text";
+    }
+
+    /**
+     * Execute several functions in a transaction. The transaction is committed once the callback completes
+     * and rolled back if the callback throws an error. For example:
+     * ```
+     * await compute.transaction(pool, { isolationLevel: IsolationLevel.SERIALIZABLE }, async (tx) => {
+     *     await tx.run(withdraw, fromAccount, amount);
+     *     await tx.run(deposit, toAccount, amount);
+     * });
+     * ```
+     * 
+     * The transaction object provides the `run()`, `stream()`, `batch()`, `runMany()` and `query()` methods that use the 
+     * connection of the transaction, and the `savepoint()` method that runs a part of the transaction
+     * within a savepoint. Functions deployed within the transaction become visible to other connections
+     * once the transaction is committed.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module. If a Pool instance
+     * is provided, a connection is taken from the Pool for the duration of the transaction.
+     * @param {Object} [options] - The transaction options.
+     * @param {IsolationLevel} [options.isolationLevel] - The isolation level, the database default is used if omitted.
+     * @param {boolean} [options.readOnly] - Whether the transaction is read-only.
+     * @param {boolean} [options.deferrable] - Whether the transaction is deferrable.
+     * @param {function(Transaction): Promise<any>} callback - The transaction logic.
+     * @returns {any} The result of the callback.
+     */
+    async transaction(dbClient, options, callback) {
+        if (typeof (options) == "function") {
+            callback = options;
+            options = {};
+        }
+
+        if (typeof (callback) != "function")
+            throw new Error("Invalid transaction callback. Make sure to pass a valid function");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await Transaction.execute(this, connection, options != undefined ? options : {}, callback, () => {
+                // Nothing is deployed in the LOCAL mode
+                if (this.#deployment == undefined)
+                    return () => { };
+
+                return this.#deployment.checkpoint();
+            }, this.#logger);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Deploys the function if needed and prepares the statement that executes it.
+     * 
+     * @param {Object} func - The function description, see `#describeFunction()`.
+     * @param {number} [paramOffset] - The number of the parameters that precede the function call,
+     * used to combine several calls in a single statement.
+     * @returns {{funcName: string, stmt: Object, call: Object, prepareCall: function(Array, number): Object,
+     * setReturning: boolean, returnsTable: boolean, readRow: function(Object): any, decode: function(any): any}}
+     * The name of the deployed function, the statement, the function call expression with the parameter values,
+     * the function that reads the decoded result out of a row, and the function that decodes the whole result
+     * (an array of rows for set-returning functions).
+     */
+    async #prepareExecution(connection, func, args, paramOffset = 0) {
+        const funcName = func.name;
+        const definition = func.definition;
+
+        args = PgCompute.#normalizeArgs(func, args);
+
+        let argTypes = undefined;
+
+        if (func.argsCnt > 0) {
+            const deployedArgs = await this.#checkFunctionWithArgsExists(
+                connection, funcName, func.body, func.argNames, args, definition);
+
+            // Declared types take precedence over the types of the deployed function
+            const deployedTypes = Deployment.getArgTypes(deployedArgs);
+            argTypes = args.map((arg, i) =>
+                (definition.args != undefined && definition.args[i] != undefined) ? definition.args[i] :
+                    (deployedTypes != undefined ? deployedTypes[i] : undefined));
+        } else {
+            await this.#checkFunctionExists(connection, funcName, func.body, definition);
+        }
+
+        // The functions created manually without quoting might have the names in lower case
+        const callName = this.#deploymentMode == DeploymentMode.MANUAL ?
+            await this.#deployment.getManualName(connection, funcName) : funcName;
+
+        const funcCall = PgCompute.#prepareCall(this.#dbSchema, callName, args, argTypes, paramOffset);
+
+        // Functions returning a table produce rows with several columns,
+        // the result of other functions is stored in the column named after the function.
+        const returnsTable = func.setReturning && /^\s*table\b/i.test(definition.returns);
+
+        return {
+            funcName: funcName,
+            stmt: {
+                text: "select " + (func.setReturning ? "* from " : "") + funcCall.expr + ";",
+                values: funcCall.values
+            },
+            call: funcCall,
+            // Prepares the calls of the same function with other arguments
+            prepareCall: (callArgs, callParamOffset) => PgCompute.#prepareCall(this.#dbSchema, callName,
+                PgCompute.#normalizeArgs(func, callArgs), argTypes, callParamOffset),
+            setReturning: func.setReturning,
+            returns: definition.returns,
+            returnsTable: returnsTable,
+            readRow: (row) => this.#decoder.decodeRow(returnsTable ? row : row[callName], definition.returns, definition),
+            decode: (value) => this.#decoder.decode(value, definition.returns, definition)
+        };
+    }
+
+    /**
+     * Checks the number of arguments and brings them to the form of the function signature: the omitted
+     * arguments are passed as NULLs, and the rest arguments are packed into an array.
+     */
+    static #normalizeArgs(func, args) {
+        if (args === undefined)
+            args = [];
+
+        if (args.length < func.requiredArgsCnt || (!func.rest && args.length > func.argsCnt)) {
+            throw new Error("Function arguments mismatch. Expected " +
+                (func.requiredArgsCnt != func.argsCnt ? func.requiredArgsCnt + " to " : "") + func.argsCnt +
+                ", received " + args.length);
+        }
+
+        const namedArgsCnt = func.rest ? func.argsCnt - 1 : func.argsCnt;
+        const namedArgs = args.slice(0, namedArgsCnt);
+
+        while (namedArgs.length < namedArgsCnt)
+            namedArgs.push(null);
+
+        return func.rest ? namedArgs.concat([args.slice(namedArgsCnt)]) : namedArgs;
+    }
+
+    /**
+     * Extracts everything needed for the function deployment from the function object.
+     * 
+     * @returns {Object} The function `name` (the name the function is deployed under), `body`, `argsCnt`,
+     * `requiredArgsCnt`, `rest` flag, `argNames`, `definition` (the declared signature) and `setReturning` flag.
+     */
+    #describeFunction(plv8Func) {
+        const parsed = FunctionParser.parse(plv8Func);
+
+        let funcBody = parsed.body;
+        let definition = this.#getDefinition(plv8Func, parsed);
+        const funcName = this.#getDeployedName(plv8Func, parsed, definition);
+
+        if (parsed.generator) {
+            funcBody = PgCompute.#wrapGeneratorBody(funcBody);
+
+            if (definition.returns == undefined)
+                definition = Object.assign({}, definition, { returns: PgCompute.#GENERATOR_RETURN_TYPE });
+        }
+
+        const { deps, problems } = this.#validate(plv8Func, funcName, parsed, definition);
+
+        if (problems.length > 0)
+            throw FunctionValidator.toError(funcName, problems);
+
+        // The preambles are put on the first line of the body, so that the line numbers of the errors don't change
+        funcBody = ModuleBundler.getPreamble(funcName, deps.functions.map(owner => owner.node), this.#modules,
+            escapeIdentifier(this.#dbSchema)) + deps.prefix + funcBody + deps.suffix;
+
+        return {
+            name: funcName,
+            body: funcBody,
+            argsCnt: parsed.argNames.length,
+            requiredArgsCnt: parsed.requiredArgsCnt,
+            rest: parsed.rest,
+            argNames: parsed.argNames,
+            definition: definition,
+            setReturning: PgCompute.#isSetReturning(definition.returns)
+        };
+    }
+
+    /**
+     * Returns the name set with `define()`, the name derived from the function source if the `hashNames` option
+     * is set or the function is anonymous, or the function name otherwise. Unlike the function names, the derived
+     * names don't collide if, for instance, several modules are minified into the same short names.
+     */
+    #getDeployedName(plv8Func, parsed, definition) {
+        if (definition.name != undefined)
+            return definition.name;
+
+        if (this.#hashNames || parsed.name == "")
+            return PgCompute.#HASH_NAME_PREFIX + crypto.createHash("md5").update(plv8Func.toString()).digest("hex");
+
+        return parsed.name;
+    }
+
+    /**
+     * Describes a function deployed without argument values, see `#getDeclaredArgs()`.
+     */
+    #describeDeclaredFunction(plv8Func) {
+        const func = this.#describeFunction(plv8Func);
+
+        return { func: func, funcArgs: PgCompute.#getDeclaredArgs(func) };
+    }
+
+    /**
+     * Builds the function arguments from the declared signature. Without argument values,
+     * the types can't be inferred, thus, all of them must be declared.
+     */
+    static #getDeclaredArgs(func) {
+        let argsStr = "";
+
+        for (let i = 0; i < func.argNames.length; i++) {
+            if (func.definition.args == undefined || func.definition.args[i] == undefined)
+                throw new Error("The type of argument '" + func.argNames[i] + "' of function '" + func.name +
+                    "' is not declared. Declare the function signature with define() or JSDoc annotations");
+
+            argsStr += func.argNames[i] + " " + func.definition.args[i] + ", ";
+        }
+
+        return argsStr.slice(0, argsStr.length - 2).trim();
+    }
+
+    /**
+     * Deploy a function without executing it, regardless of the deployment mode. This is handy
+     * for pre-deploying functions that are later executed in the `DeploymentMode.MANUAL` mode.
+     * 
+     * As long as there are no argument values to infer the types from, the types of all the
+     * function arguments must be declared with `define()` or JSDoc annotations.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} plv8Func - A function object.
+     * 
+     * @returns {string} The action taken: `created`, `redeployed` or `unchanged`.
+     */
+    async deploy(dbClient, plv8Func) {
+        this.#checkDatabaseMode("deploy");
+
+        const { func, funcArgs } = this.#describeDeclaredFunction(plv8Func);
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            const deployed = await this.#deployment.deploy(connection, func.name, funcArgs, func.body,
+                { returns: func.definition.returns, attributes: func.definition.attributes, declaredArgs: true });
+
+            return deployed.action;
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Deploy a function as a trigger function and attach it to a table, regardless of the deployment mode.
+     * 
+     * The function takes no arguments. plv8 exposes the trigger data through the `NEW`, `OLD`, `TG_OP`,
+     * `TG_TABLE_NAME` and other `TG_*` variables. For example:
+     * ```
+     * function auditOrders() {
+     *     plv8.execute("insert into orders_audit(op, order_id) values($1, $2)", [TG_OP, (NEW || OLD).id]);
+     *     return NEW;
+     * }
+     * 
+     * await compute.createTrigger(dbClient, { table: "orders", events: ["INSERT", "UPDATE"], timing: "AFTER" }, auditOrders);
+     * ```
+     * 
+     * The trigger is named after the function and tracked in the meta table together with the function.
+     * Calling the method again redeploys the function and recreates the trigger if the function implementation
+     * or the trigger options have changed. A function can be attached to a single table.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} trigger - The trigger options.
+     * @param {string} trigger.table - The table name, optionally qualified with a schema name. The names are quoted,
+     * thus, they are case-sensitive.
+     * @param {Array<string>} trigger.events - The events firing the trigger: `INSERT`, `UPDATE`, `DELETE` or `TRUNCATE`.
+     * @param {string} [trigger.timing] - `BEFORE` (default), `AFTER` or `INSTEAD OF`.
+     * @param {string} [trigger.forEach] - `ROW` (default) or `STATEMENT`.
+     * @param {Object} plv8Func - A function object.
+     * 
+     * @returns {string} The action taken: `created`, `redeployed` or `unchanged`.
+     */
+    async createTrigger(dbClient, trigger, plv8Func) {
+        this.#checkDatabaseMode("createTrigger");
+
+        const triggerOptions = PgCompute.#getTriggerOptions(trigger);
+        const func = this.#describeFunction(plv8Func);
+
+        if (func.argsCnt > 0)
+            throw new Error("Trigger function '" + func.name + "' can't have arguments. " +
+                "Use the NEW, OLD and TG_* variables to access the trigger data");
+
+        if (func.setReturning)
+            throw new Error("Trigger function '" + func.name + "' can't be a set-returning function");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            const deployed = await this.#deployment.deploy(connection, func.name, "", func.body,
+                { returns: "trigger", attributes: func.definition.attributes, trigger: triggerOptions });
+
+            return deployed.action;
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Compare the local version of a function with the deployed one. The types of all the
+     * function arguments must be declared with `define()` or JSDoc annotations.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} plv8Func - A function object.
+     * 
+     * @returns {Object} The status with the `state` field set to `deployed` (the deployed version is up to date),
+     * `changed` or `missing`. The status also includes the local and deployed `args`, hash codes and bodies.
+     */
+    async status(dbClient, plv8Func) {
+        this.#checkDatabaseMode("status");
+
+        const func = this.#describeFunction(plv8Func);
+        const funcArgs = PgCompute.#getDeclaredArgs(func);
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            const status = await this.#deployment.getStatus(connection, func.name, funcArgs, func.body,
+                { returns: func.definition.returns, attributes: func.definition.attributes });
+
+            status.localBody = func.body;
+
+            return status;
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Generate the SQL migration that deploys functions exactly as the `DeploymentMode.AUTO` mode does.
+     * This is handy when all schema changes must go through reviewed migration files. Once the migration
+     * is applied, the AUTO mode sees the functions as already deployed. The database is not accessed,
+     * and the types of all the function arguments must be declared with `define()` or JSDoc annotations.
+     * The modules declared with the `modules` option are included in the migration.
+     * 
+     * @param {Array<Object>} plv8Funcs - Function objects.
+     * 
+     * @returns {{up: string, down: string}} The SQL that deploys the functions and the SQL that drops them.
+     */
+    generateMigration(plv8Funcs) {
+        const functions = plv8Funcs.map(plv8Func => {
+            const func = this.#describeFunction(plv8Func);
+
+            return {
+                name: func.name,
+                args: PgCompute.#getDeclaredArgs(func),
+                body: func.body,
+                returns: func.definition.returns,
+                attributes: func.definition.attributes
+            };
+        });
+
+        return Deployment.generateMigration(this.#dbSchema, functions, this.#modules);
+    }
+
+    /**
+     * Drop all the deployed overloads of a function.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} plv8Func - A function object.
+     * 
+     * @returns {Array<string>} The arguments of the dropped overloads.
+     */
+    async drop(dbClient, plv8Func) {
+        this.#checkDatabaseMode("drop");
+
+        if (typeof (plv8Func) != "function")
+            throw new Error("Invalid function object. Make sure to pass a valid function");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#deployment.drop(connection, this.#describeFunction(plv8Func).name);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Get all the deployed versions of a function. Every deployment of the function, including
+     * the deployments of its overloads, adds a new version to the history.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} plv8Func - A function object.
+     * 
+     * @returns {Array<Object>} The versions in the deployment order. Every version has the `version`, `args`,
+     * `returns`, `body`, `bodyHashCode`, `deployedAt`, `applicationName` and `attributes` fields.
+     */
+    async history(dbClient, plv8Func) {
+        this.#checkDatabaseMode("history");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#deployment.getHistory(connection, this.#describeFunction(plv8Func).name);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Restore a previous version of a function. The function body is taken from the history,
+     * thus, the application build that deployed that version is not needed.
+     * 
+     * **Note**: In the AUTO mode, other application instances that haven't verified the function yet
+     * will redeploy their own version of the function.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} plv8Func - A function object.
+     * @param {number} version - The version to restore, see `history()`.
+     */
+    async rollback(dbClient, plv8Func, version) {
+        this.#checkDatabaseMode("rollback");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            const func = this.#describeFunction(plv8Func);
+
+            await this.#deployment.rollback(connection, func.name, version,
+                { body: func.body, returns: func.definition.returns, attributes: func.definition.attributes });
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * List the functions deployed by PgCompute to the schema, including the functions of other application
+     * instances and the functions removed from the application code.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * 
+     * @returns {Array<Object>} The functions sorted by the name and arguments. Every function has the `name`,
+     * `args` (the signature), `returns`, `bodyHashCode`, `version` and `deployedAt` (of the latest deployment),
+     * `triggerTable`, `trigger`, `attributes` and `exists` (whether the function still exists in the database) fields.
+     */
+    async list(dbClient) {
+        this.#checkDatabaseMode("list");
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#deployment.list(connection);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Drop the deployed functions that are not used anymore. Every function deployed by PgCompute to the schema
+     * that is not in the keep list is dropped along with all its overloads and removed from the meta table.
+     * The functions are dropped in a single transaction, their history is preserved.
+     * ```
+     * const pruned = await compute.prune(dbClient, { keep: [calcTotal, applyDiscount], dryRun: true });
+     * ```
+     * 
+     * **Note**: The functions used by other applications sharing the schema are dropped as well unless they are kept.
+     * 
+     * @param {Client | Pool} dbClient - A Client or Pool instance from the node-postgres module.
+     * @param {Object} options - The prune options.
+     * @param {Array<Object | string>} options.keep - The functions to keep, function objects or function names.
+     * @param {boolean} [options.dryRun] - If true, nothing is dropped, only the functions that would be dropped
+     * are returned.
+     * 
+     * @returns {Array<Object>} The dropped functions in the format of `list()`.
+     */
+    async prune(dbClient, options = {}) {
+        this.#checkDatabaseMode("prune");
+
+        if (!Array.isArray(options.keep))
+            throw new Error("Invalid keep list. Pass an array of the functions to keep with the 'keep' option");
+
+        const keepNames = options.keep.map(func => {
+            if (typeof (func) == "string")
+                return func;
+
+            if (typeof (func) != "function")
+                throw new Error("Invalid function object. Make sure to pass a valid function");
+
+            return this.#describeFunction(func).name;
+        });
+
+        let connection = await this.#getConnection(dbClient);
+
+        try {
+            return await this.#deployment.prune(connection, keepNames, options.dryRun == true);
+        } finally {
+            this.#releaseConnection(dbClient, connection);
+        }
+    }
+
+    /**
+     * Fails the methods that manage the deployed functions in the LOCAL mode.
+     */
+    #checkDatabaseMode(methodName) {
+        if (this.#emulator != undefined)
+            throw new Error("Method '" + methodName + "' is not supported in the '" + DeploymentMode.LOCAL +
+                "' mode, it requires a database");
+    }
+
+    async #getConnection(dbClient) {
+        let connection;
+
+        // The emulator executes the queries in the LOCAL mode
+        if (this.#emulator != undefined)
+            connection = this.#emulator;
+        else if (dbClient instanceof Pool)
+            connection = await dbClient.connect();
+        else
+            connection = dbClient;
+
+        return connection;
+    }
+
+    #releaseConnection(dbClient, connection) {
+        if (dbClient instanceof Pool && connection != undefined && connection !== this.#emulator)
+            connection.release();
+    }
+
+    async #checkFunctionExists(connection, funcName, funcBody, definition) {
+        await this.#deployment.checkExists(connection, funcName, null, funcBody,
+            { returns: definition.returns, attributes: definition.attributes });
+    }
+
+    async #checkFunctionWithArgsExists(connection, funcName, funcBody, argsNames, argsValues, definition) {
+        let argsStr = "";
+        let arg, pgType;
+        let declared = definition.args != undefined;
+
+        for (let i = 0; i < argsValues.length; i++) {
+            arg = argsValues[i];
+
+            if (definition.args != undefined && definition.args[i] != undefined) {
+                pgType = definition.args[i];
+            } else {
+                pgType = PgCompute.#getPostgresType(arg);
+                declared = false;
+            }
+
+            argsStr += argsNames[i] + " " + pgType + ", ";
+        }
+
+        argsStr = argsStr.slice(0, argsStr.length - 2).trim();
+
+        return await this.#deployment.checkExists(connection, funcName, argsStr, funcBody,
+            { returns: definition.returns, attributes: definition.attributes, declaredArgs: declared });
+    }
+
+    /**
+     * Returns the signature declared for the function with `define()` or with JSDoc annotations.
+     */
+    #getDefinition(plv8Func, parsed) {
+        let definition = this.#definitions.get(plv8Func);
+
+        if (definition == undefined) {
+            definition = PgCompute.#parseJsDocSignature(parsed);
+            this.#definitions.set(plv8Func, definition);
+        }
+
+        return definition;
+    }
+
+    /**
+     * Reads the `@param {type} name` and `@returns {type}` annotations of the first
+     * JSDoc comment found in the function source.
+     */
+    static #parseJsDocSignature(parsed) {
+        const definition = { args: undefined, returns: undefined };
+        const jsDoc = parsed.source.match(/\/\*\*([\s\S]*?)\*\//);
+
+        if (jsDoc == null)
+            return definition;
+
+        const paramTypes = {};
+        const paramRegex = /@(?:param|arg|argument)\s+\{([^}]+)\}\s+\[?([A-Za-z_$][\w$]*)/g;
+        let match;
+
+        while ((match = paramRegex.exec(jsDoc[1])) != null)
+            paramTypes[match[2]] = PgCompute.#getJsDocPostgresType(match[1]);
+
+        if (Object.keys(paramTypes).length > 0)
+            definition.args = parsed.argNames.map(argName => paramTypes[argName]);
+
+        match = jsDoc[1].match(/@returns?\s+\{([^}]+)\}/);
+
+        if (match != null)
+            definition.returns = PgCompute.#getJsDocPostgresType(match[1]);
+
+        return definition;
+    }
+
+    /**
+     * Validates the trigger options and fills in the defaults.
+     */
+    static #getTriggerOptions(trigger) {
+        if (trigger == undefined || typeof (trigger.table) != "string" || trigger.table.trim() == "")
+            throw new Error("The trigger table is not specified");
+
+        const table = trigger.table.trim();
+        const tableParts = table.split(".");
+
+        if (tableParts.length > 2 || tableParts.some(part => part.trim() == "" || part.trim() != part))
+            throw new Error("Invalid trigger table '" + trigger.table + "'. Pass the table name, optionally qualified " +
+                "with a schema name, without quotes");
+
+        const timing = (trigger.timing != undefined ? trigger.timing : "BEFORE").toUpperCase();
+        const forEach = (trigger.forEach != undefined ? trigger.forEach : "ROW").toUpperCase();
+
+        if (!PgCompute.#TRIGGER_TIMINGS.includes(timing))
+            throw new Error("Unsupported trigger timing '" + trigger.timing + "'. Supported values: " +
+                PgCompute.#TRIGGER_TIMINGS.join(", "));
+
+        if (!PgCompute.#TRIGGER_LEVELS.includes(forEach))
+            throw new Error("Unsupported trigger level '" + trigger.forEach + "'. Supported values: " +
+                PgCompute.#TRIGGER_LEVELS.join(", "));
+
+        if (!Array.isArray(trigger.events) || trigger.events.length == 0)
+            throw new Error("The trigger events are not specified");
+
+        const events = trigger.events.map(event => {
+            if (!PgCompute.#TRIGGER_EVENTS.includes(String(event).toUpperCase()))
+                throw new Error("Unsupported trigger event '" + event + "'. Supported values: " +
+                    PgCompute.#TRIGGER_EVENTS.join(", "));
+
+            return event.toUpperCase();
+        });
+
+        return { table: table, events: events, timing: timing, forEach: forEach };
+    }
+
+    /**
+     * Validates the function attributes and builds the clause of the `create function` statement.
+     * 
+     * @returns {string | undefined} The attributes clause, such as `immutable parallel safe`, or `undefined`
+     * if no attributes are set.
+     */
+    static #getFunctionAttributes(signature) {
+        const getOption = (name, value, supportedValues) => {
+            if (!supportedValues.includes(String(value).toUpperCase()))
+                throw new Error("Unsupported " + name + " '" + value + "'. Supported values: " + supportedValues.join(", "));
+
+            return String(value).toLowerCase();
+        };
+
+        const getEstimate = (name, value) => {
+            if (typeof (value) != "number" || !(value > 0))
+                throw new Error("Invalid " + name + " '" + value + "'. It must be a positive number");
+
+            return name + " " + value;
+        };
+
+        let attributes = [];
+
+        if (signature.volatility != undefined)
+            attributes.push(getOption("volatility", signature.volatility, PgCompute.#VOLATILITIES));
+
+        if (signature.parallel != undefined)
+            attributes.push("parallel " + getOption("parallel mode", signature.parallel, PgCompute.#PARALLEL_MODES));
+
+        if (signature.strict)
+            attributes.push("strict");
+
+        if (signature.security != undefined)
+            attributes.push("security " + getOption("security mode", signature.security, PgCompute.#SECURITY_MODES));
+
+        if (signature.cost != undefined)
+            attributes.push(getEstimate("cost", signature.cost));
+
+        if (signature.rows != undefined)
+            attributes.push(getEstimate("rows", signature.rows));
+
+        let settings = {};
+
+        if (signature.searchPath != undefined) {
+            const schemas = Array.isArray(signature.searchPath) ? signature.searchPath : String(signature.searchPath).split(",");
+
+            settings["search_path"] = schemas.map(schema => escapeIdentifier(schema.trim())).join(", ");
+        }
+
+        if (signature.set != undefined) {
+            Object.keys(signature.set).forEach(name => {
+                if (!/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name))
+                    throw new Error("Invalid configuration parameter name '" + name + "'");
+
+                if (name.toLowerCase() == "search_path" && signature.searchPath != undefined)
+                    throw new Error("The search_path is set twice, use either the 'searchPath' or the 'set' option");
+
+                settings[name] = escapeLiteral(String(signature.set[name]));
+            });
+        }
+
+        // The sorted parameters keep the clause and the function hash code stable
+        Object.keys(settings).sort().forEach(name => attributes.push("set " + name + " = " + settings[name]));
+
+        return attributes.length > 0 ? attributes.join(" ") : undefined;
+    }
+
+    static #isSetReturning(returns) {
+        return returns != undefined && /^\s*(setof|table)\b/i.test(returns);
+    }
+
+    /**
+     * plv8 doesn't run generators, so the generator body is wrapped into an inner generator
+     * function and every yielded value is passed to `plv8.return_next`. The inner generator is called
+     * with the `this` and `arguments` of the deployed function.
+     */
+    static #wrapGeneratorBody(funcBody) {
+        return " for (const __pgc_row of (function* () {" + funcBody + "}).apply(this, arguments)) plv8.return_next(__pgc_row); ";
+    }
+
+    static #getJsDocPostgresType(jsDocType) {
+        jsDocType = jsDocType.trim();
+
+        const pgType = PgCompute.#JSDOC_TO_POSTGRES_TYPE_MAPPING[jsDocType];
+
+        // Unknown names are treated as Postgres types
+        return pgType != undefined ? pgType : jsDocType;
+    }
+
+    /**
+     * Prepares a parameterized function call. Every argument is sent as a bound parameter with 
+     * an explicit cast to the type of the deployed function signature. If the signature is unknown
+     * (for instance, in the MANUAL mode) the parameters are left untyped, so Postgres resolves them
+     * against the signature of the function. Only integers are cast to `int4` or `int8`, like the integer
+     * literals the calls were built with before.
+     * 
+     * @param {string} schema - The schema the function belongs to.
+     * @param {string} funcName - The function name.
+     * @param {Array} argsValues - The argument values.
+     * @param {Array<string>} [argsTypes] - The Postgres types of the deployed function signature.
+     * @param {number} [paramOffset] - The number of the parameters that precede the call in the statement.
+     * @returns {{expr: string, values: Array}} The call expression and the parameter values.
+     */
+    static #prepareCall(schema, funcName, argsValues, argsTypes, paramOffset = 0) {
+        let argsStr = "";
+        let values = [];
+        let arg, pgType;
+
+        for (let i = 0; i < argsValues.length; i++) {
+            arg = argsValues[i];
+
+            if (argsTypes != undefined && argsTypes[i] != undefined)
+                pgType = argsTypes[i];
+            else if (Number.isInteger(arg))
+                pgType = PgCompute.#getPostgresType(arg);
+            else
+                // A guessed type might have no implicit cast to the type of the argument, for instance, float8 to numeric
+                pgType = undefined;
+
+            argsStr += "$" + (paramOffset + i + 1) + (pgType != undefined ? "::" + pgType : "") + ",";
+            // An untyped value is still converted by its inferred type, for instance, a mixed array is sent as JSON
+            values.push(PgCompute.#toPostgresValue(arg, pgType != undefined ? pgType : PgCompute.#getPostgresType(arg)));
+        }
+
+        argsStr = argsStr.slice(0, argsStr.length - 1);
+
+        return {
+            expr: escapeIdentifier(schema) + "." + escapeIdentifier(funcName) + "(" + argsStr + ")",
+            values: values
+        };
+    }
+
+    /**
+     * Converts an argument value to the form node-postgres can send for the given Postgres type.
+     */
+    static #toPostgresValue(arg, pgType) {
+        if (arg === null || arg === undefined)
+            return null;
+
+        if (pgType == "json" || pgType == "jsonb")
+            return JSON.stringify(arg);
+
+        if (typeof (arg) == "bigint")
+            return arg.toString();
+
+        // node-postgres sends typed arrays as bytea, convert them to regular arrays instead
+        if (ArrayBuffer.isView(arg) && !Buffer.isBuffer(arg))
+            return Array.from(arg, (item) => typeof (item) == "bigint" ? item.toString() : item);
+
+        return arg;
+    }
+
+    static #getPostgresType(arg) {
+        let type = typeof (arg);
+        let pgType = undefined;
+
+        if (arg === null || arg === undefined) {
+            // A value of any type can be passed later, jsonb is the most permissive choice
+            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["json"];
+        } else if (type == "number") {
+            if (Number.isInteger(arg)) {
+                pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[arg < PgCompute.#MIN_INT || arg > PgCompute.#MAX_INT ? "long" : "int"];
+            } else {
+                pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["float"];
+            }
+        } else if (Buffer.isBuffer(arg)) {
+            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["buffer"];
+        } else if (Array.isArray(arg)) {
+            pgType = PgCompute.#getArrayPostgresType(arg);
+        } else if (type == "object") {
+            type = Object.prototype.toString.call(arg);
+            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[type];
+        } else {
+            pgType = PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[type];
+        }
+
+        if (pgType == undefined)
+            throw new Error("Unsupported argument type: " + type);
+
+        return pgType;
+    }
+
+    /**
+     * Arrays of strings and arrays of numbers are mapped to Postgres arrays,
+     * all other arrays (empty, mixed, nested or of objects) are passed as jsonb.
+     */
+    static #getArrayPostgresType(arr) {
+        if (arr.length == 0)
+            return PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["json"];
+
+        if (arr.every(item => typeof (item) == "string"))
+            return PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["string"] + "[]";
+
+        if (arr.every(item => typeof (item) == "number")) {
+            if (arr.every(item => Number.isInteger(item))) {
+                const long = arr.some(item => item < PgCompute.#MIN_INT || item > PgCompute.#MAX_INT);
+                return PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING[long ? "long" : "int"] + "[]";
+            }
+
+            // float4 would lose the precision of integers mixed with fractional numbers
+            return "float8[]";
+        }
+
+        return PgCompute.#JS_TO_POSTGRES_TYPE_MAPPING["json"];
     }
 }
 
 module.exports.PgCompute = PgCompute;
-module.exports.DeploymentMode = DeploymentMode;
\ No newline at end of file
+module.exports.DeploymentMode = DeploymentMode;
+module.exports.ConflictPolicy = ConflictPolicy;
+module.exports.IsolationLevel = IsolationLevel;
+module.exports.SqlFixtures = SqlFixtures;
+module.exports.PgComputeError = PgComputeError;
+module.exports.EnvironmentError = EnvironmentError;
+module.exports.ResultDecoder = ResultDecoder;
+module.exports.ModuleBundler = ModuleBundler;
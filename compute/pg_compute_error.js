@@ -0,0 +1,162 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { FunctionParser } = require("./function_parser.js");
+
+/**
+ * The error thrown when a function fails during the execution.
+ * 
+ * The stack trace starts with the position in the original source file where the error occurred.
+ * The position is mapped from the line reported by plv8 for the deployed function body. If the file
+ * of the function can't be found, the position is relative to the function source.
+ */
+class PgComputeError extends Error {
+    /** The function name. */
+    functionName;
+
+    /** The SQLSTATE code reported by the database. */
+    code;
+
+    /** The error message reported by plv8. */
+    plv8Message;
+
+    /** The error detail reported by the database, if any. */
+    detail;
+
+    /** The error hint reported by the database, if any. */
+    hint;
+
+    /**
+     * The position where the error occurred: the `file` (undefined if the function file is not found),
+     * the 1-based `line` and `column` (undefined if not reported by plv8).
+     */
+    location;
+
+    /**
+     * @param {string} message - The error message.
+     * @param {Object} options - The error details: the `cause` and the fields of the error.
+     */
+    constructor(message, options) {
+        super(message, { cause: options.cause });
+
+        this.name = "PgComputeError";
+        this.functionName = options.functionName;
+        this.code = options.code;
+        this.plv8Message = options.plv8Message;
+        this.detail = options.detail;
+        this.hint = options.hint;
+        this.location = options.location;
+
+        if (this.location != undefined) {
+            const frames = this.stack.split("\n").slice(1).filter(frame => !frame.includes("at PgComputeError."));
+
+            this.stack = this.name + ": " + this.message + "\n" +
+                "    at " + this.functionName + " (" +
+                (this.location.file != undefined ? this.location.file : "<function " + this.functionName + ">") +
+                ":" + this.location.line + (this.location.column != undefined ? ":" + this.location.column : "") + ")" +
+                (frames.length > 0 ? "\n" + frames.join("\n") : "");
+        }
+    }
+
+    /**
+     * Wraps an error thrown by the function execution.
+     * 
+     * @param {Error} error - The error of node-postgres or of the LOCAL mode emulator.
+     * @param {Function} plv8Func - The function object.
+     * @param {string} [funcName] - The name the function is deployed under, the function object name by default.
+     * @returns {PgComputeError} The wrapped error.
+     */
+    static fromError(error, plv8Func, funcName = plv8Func.name) {
+        if (error instanceof PgComputeError)
+            return error;
+
+        return new PgComputeError("Function '" + funcName + "' failed: " + error.message, {
+            cause: error,
+            functionName: funcName,
+            code: error.code != undefined ? error.code : PgComputeError.#PLV8_ERROR_CODE,
+            plv8Message: error.message,
+            detail: error.detail,
+            hint: error.hint,
+            location: PgComputeError.#getLocation(error, plv8Func, funcName)
+        });
+    }
+
+    /** The SQLSTATE plv8 reports for JavaScript exceptions (internal_error). */
+    static #PLV8_ERROR_CODE = "XX000";
+
+    /**
+     * Maps the position in the deployed function body to the position in the function source file.
+     */
+    static #getLocation(error, plv8Func, funcName) {
+        const bodyPosition = PgComputeError.#getBodyPosition(error, funcName);
+
+        if (bodyPosition == undefined)
+            return undefined;
+
+        let parsed;
+
+        try {
+            parsed = FunctionParser.parse(plv8Func);
+        } catch (parseError) {
+            return undefined;
+        }
+
+        // The body keeps the lines of the function source, it starts after the opening brace
+        const bodyPrefix = plv8Func.toString().substring(0, parsed.bodyOffset).split("\n");
+        const line = bodyPrefix.length - 1 + bodyPosition.line - 1;
+
+        let column = bodyPosition.column;
+
+        if (column != undefined && bodyPosition.line == 1)
+            column += bodyPrefix[bodyPrefix.length - 1].length;
+
+        const funcLocation = FunctionParser.locate(plv8Func);
+
+        if (funcLocation == undefined)
+            return { file: undefined, line: line + 1, column: column };
+
+        if (column != undefined && line == 0)
+            column += funcLocation.column - 1;
+
+        return { file: funcLocation.file, line: funcLocation.line + line, column: column };
+    }
+
+    /**
+     * Finds the 1-based line and column of the deployed function body where the error occurred.
+     * 
+     * plv8 compiles the body wrapped into a function that starts one line above the body. The position is taken
+     * from the stack frame of the function, if any, and from the `LINE` reported in the error context otherwise.
+     */
+    static #getBodyPosition(error, funcName) {
+        const frameRegex = new RegExp("at " + funcName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + " \\([^()]*?:(\\d+):(\\d+)\\)");
+
+        for (const text of [error.detail, error.stack]) {
+            const match = text != undefined ? String(text).match(frameRegex) : null;
+
+            if (match != null)
+                return { line: Number(match[1]) - 1, column: Number(match[2]) };
+        }
+
+        const match = error.where != undefined ? error.where.match(/LINE (\d+):/) : null;
+
+        if (match != null)
+            return { line: Number(match[1]), column: undefined };
+
+        return undefined;
+    }
+}
+
+module.exports.PgComputeError = PgComputeError;
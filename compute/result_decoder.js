@@ -0,0 +1,255 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Decodes the function results into JavaScript types according to the declared return type.
+ * 
+ * - `int8` and `bigint` values are returned as `BigInt`s.
+ * - `numeric` and `decimal` values are passed to the `decimal` function, if any, and are returned
+ *   as strings otherwise, so that the precision is not lost.
+ * - `timestamptz`, `timestamp` and `date` values are returned as `Date`s.
+ * - `bytea` values are returned as `Buffer`s.
+ * - `json` and `jsonb` values are passed to the reviver, if any, and their fields are decoded
+ *   according to the declared shape.
+ * 
+ * The elements of arrays, the rows of set-returning functions and the columns of `table(...)` functions
+ * are decoded the same way. The values already decoded by node-postgres are left as is.
+ */
+class ResultDecoder {
+    /** The type categories, the key is a Postgres type name without the modifiers. */
+    static #TYPE_CATEGORIES = {
+        "int8": "bigint",
+        "bigint": "bigint",
+        "numeric": "numeric",
+        "decimal": "numeric",
+        "timestamptz": "date",
+        "timestamp": "date",
+        "timestamp with time zone": "date",
+        "timestamp without time zone": "date",
+        "date": "date",
+        "bytea": "bytea",
+        "json": "json",
+        "jsonb": "json"
+    };
+
+    /** The return type of functions that don't declare one. */
+    static #DEFAULT_RETURN_TYPE = "json";
+
+    /** ISO 8601 timestamps, such as the ones produced by `Date.toJSON()` and by Postgres. */
+    static #ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+    /** Converts the JSON values. */
+    #reviver;
+
+    /** Converts the numeric values. */
+    #decimal;
+
+    /**
+     * @param {Object} [options] - The decoding options.
+     * @param {function(string, any): any} [options.reviver] - Converts the values of the JSON results, called
+     * like the reviver of `JSON.parse()`.
+     * @param {function(string): any} [options.decimal] - Converts the numeric values, such as
+     * `(value) => new Decimal(value)`.
+     */
+    constructor(options = {}) {
+        this.#reviver = options.reviver;
+        this.#decimal = options.decimal;
+    }
+
+    /**
+     * A reviver that turns the ISO 8601 timestamps into `Date`s.
+     */
+    static reviveDates(key, value) {
+        if (typeof (value) == "string" && ResultDecoder.#ISO_DATE_REGEX.test(value)) {
+            const date = new Date(value);
+
+            if (!isNaN(date.getTime()))
+                return date;
+        }
+
+        return value;
+    }
+
+    /**
+     * Decodes the function result. The result of a set-returning function is an array of rows.
+     * 
+     * @param {any} value - The result.
+     * @param {string} [returns] - The declared return type, `JSON` by default.
+     * @param {Object} [options] - The function options overriding the decoder options.
+     * @param {function(string, any): any} [options.reviver] - The reviver of the JSON results.
+     * @param {Object<string, string>} [options.shape] - The Postgres types of the fields of the JSON results.
+     * @returns {any} The decoded result.
+     */
+    decode(value, returns, options = {}) {
+        const returnType = ResultDecoder.#normalizeType(returns);
+
+        if (/^(setof\s|table\s*\()/.test(returnType) && Array.isArray(value))
+            return value.map(row => this.decodeRow(row, returns, options));
+
+        return this.decodeRow(value, returns, options);
+    }
+
+    /**
+     * Decodes a single row of a set-returning function or the result of a regular function.
+     * The parameters are the same as for `decode()`.
+     */
+    decodeRow(value, returns, options = {}) {
+        const returnType = ResultDecoder.#normalizeType(returns).replace(/^setof\s+/, "");
+
+        if (/^table\s*\(/.test(returnType)) {
+            if (value === null || typeof (value) != "object")
+                return value;
+
+            const columns = ResultDecoder.getTableColumns(returns);
+
+            Object.keys(columns).forEach(column => {
+                if (column in value)
+                    value[column] = this.#decodeValue(value[column], columns[column], options);
+            });
+
+            return value;
+        }
+
+        return this.#decodeValue(value, returnType, options);
+    }
+
+    #decodeValue(value, pgType, options) {
+        if (value === null || value === undefined)
+            return value;
+
+        if (pgType.endsWith("[]")) {
+            const elementType = pgType.substring(0, pgType.length - 2).trim();
+
+            return Array.isArray(value) ? value.map(item => this.#decodeValue(item, elementType, options)) : value;
+        }
+
+        switch (ResultDecoder.#TYPE_CATEGORIES[pgType.replace(/\s*\(.*\)/, "")]) {
+            case "bigint":
+                if ((typeof (value) == "string" && /^-?\d+$/.test(value)) || Number.isInteger(value))
+                    return BigInt(value);
+
+                return value;
+            case "numeric":
+                if (this.#decimal != undefined && (typeof (value) == "string" || typeof (value) == "number"))
+                    return this.#decimal(String(value));
+
+                return value;
+            case "date":
+                // The values aggregated into JSON, for instance, the table rows of batch(), come as strings
+                return typeof (value) == "string" ? new Date(value) : value;
+            case "bytea":
+                if (typeof (value) == "string" && value.startsWith("\\x"))
+                    return Buffer.from(value.substring(2), "hex");
+
+                if (value instanceof ArrayBuffer)
+                    return Buffer.from(value);
+
+                if (ArrayBuffer.isView(value) && !Buffer.isBuffer(value))
+                    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+
+                return value;
+            case "json":
+                return this.#decodeJson(value, options);
+            default:
+                return value;
+        }
+    }
+
+    #decodeJson(value, options) {
+        const reviver = options.reviver != undefined ? options.reviver : this.#reviver;
+
+        if (reviver != undefined)
+            value = ResultDecoder.#revive({ "": value }, "", reviver);
+
+        if (options.shape == undefined || value === null || typeof (value) != "object")
+            return value;
+
+        // The shape describes an object or every object of an array, such as the rows of plv8.execute()
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (item === null || typeof (item) != "object")
+                continue;
+
+            Object.keys(options.shape).forEach(field => {
+                if (field in item)
+                    item[field] = this.#decodeValue(item[field], ResultDecoder.#normalizeType(options.shape[field]), {});
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * Walks the value like `JSON.parse()` does: the nested values are revived first, and the `undefined`
+     * returned by the reviver removes the field.
+     */
+    static #revive(holder, key, reviver) {
+        const value = holder[key];
+
+        if (value !== null && typeof (value) == "object" && !(value instanceof Date)) {
+            Object.keys(value).forEach(childKey => {
+                const revived = ResultDecoder.#revive(value, childKey, reviver);
+
+                if (revived === undefined)
+                    delete value[childKey];
+                else
+                    value[childKey] = revived;
+            });
+        }
+
+        return reviver.call(holder, key, value);
+    }
+
+    static #normalizeType(pgType) {
+        return (pgType != undefined ? pgType : ResultDecoder.#DEFAULT_RETURN_TYPE).trim().toLowerCase().replace(/\s+/g, " ");
+    }
+
+    /**
+     * Returns the column types of the `table(name type, ...)` return type, the key is a column name
+     * as Postgres stores it: the unquoted names are folded to lower case.
+     * 
+     * @param {string} returns - The return type, such as `table(id int8, "createdAt" timestamptz)`.
+     * @returns {Object<string, string>} The normalized column types.
+     */
+    static getTableColumns(returns) {
+        const columnsStr = returns.substring(returns.indexOf("(") + 1, returns.lastIndexOf(")"));
+        let columns = {};
+        let depth = 0, start = 0;
+
+        for (let i = 0; i <= columnsStr.length; i++) {
+            if (columnsStr[i] == "(")
+                depth++;
+            else if (columnsStr[i] == ")")
+                depth--;
+            else if (i == columnsStr.length || (columnsStr[i] == "," && depth == 0)) {
+                const column = columnsStr.substring(start, i).trim();
+                const nameEnd = column.search(/\s/);
+
+                if (nameEnd > 0) {
+                    const name = column.substring(0, nameEnd);
+
+                    columns[name.startsWith("\"") ? name.replace(/"/g, "") : name.toLowerCase()] =
+                        ResultDecoder.#normalizeType(column.substring(nameEnd + 1));
+                }
+
+                start = i + 1;
+            }
+        }
+
+        return columns;
+    }
+}
+
+module.exports.ResultDecoder = ResultDecoder;
@@ -0,0 +1,237 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { PgComputeError } = require("./pg_compute_error.js");
+
+/**
+ * Transaction isolation levels.
+ */
+class IsolationLevel {
+    static READ_UNCOMMITTED = "READ UNCOMMITTED";
+    static READ_COMMITTED = "READ COMMITTED";
+    static REPEATABLE_READ = "REPEATABLE READ";
+    static SERIALIZABLE = "SERIALIZABLE";
+}
+
+/**
+ * A database transaction that executes functions on a single connection.
+ * 
+ * Transactions are started with `PgCompute.transaction()`. The transaction is committed once the callback
+ * completes and rolled back if the callback throws an error.
+ */
+class Transaction {
+
+    /** The SQLSTATE of the statements executed in an aborted transaction (in_failed_sql_transaction). */
+    static #IN_FAILED_TRANSACTION_CODE = "25P02";
+
+    /** The connections that have an open transaction. */
+    static #activeConnections = new WeakSet();
+
+    /** The PgCompute instance. */
+    #compute;
+
+    /** The connection of the transaction. */
+    #connection;
+
+    /** Called when the transaction or a savepoint starts, returns the function called if it is rolled back. */
+    #checkpoint;
+
+    /** The nesting level of the savepoints. */
+    #savepointLevel;
+
+    constructor(compute, connection, checkpoint, savepointLevel = 0) {
+        this.#compute = compute;
+        this.#connection = connection;
+        this.#checkpoint = checkpoint;
+        this.#savepointLevel = savepointLevel;
+    }
+
+    /**
+     * Execute a function within the transaction, see `PgCompute.run()`.
+     * 
+     * @param {Object} plv8Func - A function object intended for execution.
+     * @param {...any} args - Optional arguments for the function.
+     * @returns {any} The result of the executed function.
+     */
+    async run(plv8Func, ...args) {
+        return await this.#compute.run(this.#connection, plv8Func, ...args);
+    }
+
+    /**
+     * Execute a set-returning function within the transaction and stream its rows, see `PgCompute.stream()`.
+     * 
+     * @param {Object} plv8Func - A function object intended for execution.
+     * @param {...any} args - Optional arguments for the function.
+     * @returns {AsyncIterableIterator<any>} The rows of the result set.
+     */
+    stream(plv8Func, ...args) {
+        return this.#compute.stream(this.#connection, plv8Func, ...args);
+    }
+
+    /**
+     * Execute several functions within the transaction in a single round trip, see `PgCompute.batch()`.
+     * 
+     * @param {Array<Array>} calls - The function calls, every call is an array with a function object
+     * followed by the function arguments.
+     * @returns {Array<any>} The results of the functions in the order of the calls.
+     */
+    async batch(calls) {
+        return await this.#compute.batch(this.#connection, calls);
+    }
+
+    /**
+     * Execute a function for many argument tuples within the transaction, see `PgCompute.runMany()`.
+     * 
+     * @param {Object} plv8Func - A function object intended for execution.
+     * @param {Array<Array>} argsList - The argument tuples.
+     * @param {Object} [options] - Additional options, see `PgCompute.runMany()`.
+     * @returns {Array<any>} The results of the calls in the order of the argument tuples.
+     */
+    async runMany(plv8Func, argsList, options) {
+        return await this.#compute.runMany(this.#connection, plv8Func, argsList, options);
+    }
+
+    /**
+     * Execute an SQL query within the transaction. The arguments are the same as for `Client.query()`
+     * of node-postgres.
+     */
+    async query(...args) {
+        return await this.#connection.query(...args);
+    }
+
+    /**
+     * Execute the callback within a savepoint. If the callback throws an error, the changes made
+     * since the savepoint are rolled back and the error is rethrown. The rest of the transaction
+     * is not affected and can continue.
+     * 
+     * @param {function(Transaction): Promise<any>} callback - The logic to execute. It receives
+     * a transaction object that can create nested savepoints.
+     * @returns {any} The result of the callback.
+     */
+    async savepoint(callback) {
+        const savepointName = "pg_compute_savepoint_" + (this.#savepointLevel + 1);
+
+        await this.#connection.query("SAVEPOINT " + savepointName + ";");
+
+        const onRollback = this.#checkpoint();
+
+        try {
+            const result = await callback(
+                new Transaction(this.#compute, this.#connection, this.#checkpoint, this.#savepointLevel + 1));
+
+            await this.#connection.query("RELEASE SAVEPOINT " + savepointName + ";");
+
+            return result;
+        } catch (error) {
+            try {
+                await this.#connection.query("ROLLBACK TO SAVEPOINT " + savepointName + ";");
+                await this.#connection.query("RELEASE SAVEPOINT " + savepointName + ";");
+            } finally {
+                // If the savepoint can't be rolled back, the whole transaction is going to be rolled back
+                onRollback();
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Starts a transaction, executes the callback and commits the transaction. The transaction
+     * is rolled back if the callback or the commit fails. If a statement failed within the transaction
+     * and the callback caught the error, the transaction is rolled back and `PgComputeError` is thrown.
+     * 
+     * @param {Object} compute - The PgCompute instance.
+     * @param {Client} connection - A database connection.
+     * @param {Object} options - The transaction options, see `PgCompute.transaction()`.
+     * @param {function(Transaction): Promise<any>} callback - The logic to execute.
+     * @param {function(): function()} checkpoint - Called when the transaction or a savepoint starts. Returns
+     * the function that is called after the transaction or the savepoint is rolled back.
+     * @param {Object} logger - The logger of the PgCompute instance.
+     * @returns {any} The result of the callback.
+     */
+    static async execute(compute, connection, options, callback, checkpoint, logger) {
+        if (Transaction.#activeConnections.has(connection))
+            throw new Error("The connection already has an open transaction. Use savepoint() for nested transactions");
+
+        await connection.query(Transaction.#getBeginStatement(options));
+
+        Transaction.#activeConnections.add(connection);
+
+        const onRollback = checkpoint();
+        let result, commitResult;
+
+        try {
+            result = await callback(new Transaction(compute, connection, checkpoint));
+
+            commitResult = await connection.query("COMMIT;");
+        } catch (error) {
+            try {
+                await connection.query("ROLLBACK;");
+            } catch (rollbackError) {
+                // The original error is more important, the connection might be broken anyway
+                logger.warn("Failed to rollback the transaction: " + rollbackError.message);
+            }
+
+            onRollback();
+            throw error;
+        } finally {
+            Transaction.#activeConnections.delete(connection);
+        }
+
+        // The database rolls the transaction back on COMMIT if one of its statements failed
+        if (commitResult != undefined && commitResult.command == "ROLLBACK") {
+            onRollback();
+
+            throw new PgComputeError("The transaction has been rolled back because one of its statements failed", {
+                code: Transaction.#IN_FAILED_TRANSACTION_CODE
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks if a transaction was started on the connection with `PgCompute.transaction()`.
+     */
+    static isActive(connection) {
+        return Transaction.#activeConnections.has(connection);
+    }
+
+    static #getBeginStatement(options) {
+        let stmt = "BEGIN";
+
+        if (options.isolationLevel != undefined) {
+            const isolationLevel = String(options.isolationLevel).toUpperCase();
+
+            if (!Object.values(IsolationLevel).includes(isolationLevel))
+                throw new Error("Unsupported isolation level '" + options.isolationLevel + "'. Supported values: " +
+                    Object.values(IsolationLevel).join(", "));
+
+            stmt += " ISOLATION LEVEL " + isolationLevel;
+        }
+
+        if (options.readOnly != undefined)
+            stmt += options.readOnly ? " READ ONLY" : " READ WRITE";
+
+        if (options.deferrable != undefined)
+            stmt += options.deferrable ? " DEFERRABLE" : " NOT DEFERRABLE";
+
+        return stmt + ";";
+    }
+}
+
+module.exports.Transaction = Transaction;
+module.exports.IsolationLevel = IsolationLevel;
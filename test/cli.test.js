@@ -0,0 +1,109 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { main, parseArguments, loadFunctions, diffLines, writeMigration } = require("../compute/cli");
+
+const FIXTURE = path.join(__dirname, "fixtures", "db_functions.js");
+
+describe("CLI Tests", () => {
+    it("should parse arguments", () => {
+        let args = parseArguments(["deploy", "./db-functions.js", "--schema", "app", "-f", "a", "-f", "b"]);
+
+        expect(args.command).toBe("deploy");
+        expect(args.module).toBe("./db-functions.js");
+        expect(args.schema).toBe("app");
+        expect(args.functions).toEqual(["a", "b"]);
+
+        args = parseArguments(["status", "./db-functions.js"]);
+        expect(args.schema).toBe("public");
+        expect(args.connection).toBeUndefined();
+
+        expect(() => parseArguments(["publish", "./db-functions.js"])).toThrow("Unknown command 'publish'");
+        expect(() => parseArguments(["deploy"])).toThrow("module with the functions is not specified");
+        expect(() => parseArguments(["migrate", "./db-functions.js", "--format", "liquibase"]))
+            .toThrow("Unknown migration format 'liquibase'");
+    })
+
+    it("should load exported functions", () => {
+        let functions = loadFunctions(FIXTURE);
+        expect(functions.map(func => func.name)).toEqual(["cliSum", "cliNow"]);
+
+        functions = loadFunctions(FIXTURE, ["cliNow"]);
+        expect(functions.map(func => func.name)).toEqual(["cliNow"]);
+
+        expect(() => loadFunctions(FIXTURE, ["cliMissing"])).toThrow("Function 'cliMissing' is not exported");
+    })
+
+    it("should diff function bodies", () => {
+        const diff = diffLines("let a = 1;\nreturn a;", "let a = 1;\nlet b = 2;\nreturn a + b;");
+
+        expect(diff).toEqual(["  let a = 1;", "- return a;", "+ let b = 2;", "+ return a + b;"]);
+    })
+
+    it("should write migration files", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pg-compute-"));
+        const migration = { up: "select 1;\n", down: "select 2;\n" };
+
+        try {
+            expect(writeMigration(dir, "migrate", "funcs", "20231001120000", migration).map(file => path.basename(file)))
+                .toEqual(["20231001120000_funcs.up.sql", "20231001120000_funcs.down.sql"]);
+
+            expect(writeMigration(dir, "flyway", "funcs", "20231001120000", migration).map(file => path.basename(file)))
+                .toEqual(["V20231001120000__funcs.sql", "U20231001120000__funcs.sql"]);
+
+            const files = writeMigration(dir, "dbmate", "funcs", "20231001120000", migration);
+            expect(fs.readFileSync(files[0], "utf8"))
+                .toBe("-- migrate:up\nselect 1;\n\n-- migrate:down\nselect 2;\n");
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    })
+
+    it("should generate migration for exported functions", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pg-compute-"));
+        const out = { log: jest.fn(), error: jest.fn() };
+
+        try {
+            expect(await main(["migrate", FIXTURE, "-o", dir, "-s", "app", "-f", "cliSum"], out)).toBe(0);
+
+            const files = fs.readdirSync(dir).sort();
+            expect(files.length).toBe(2);
+
+            const down = fs.readFileSync(path.join(dir, files[0]), "utf8");
+            const up = fs.readFileSync(path.join(dir, files[1]), "utf8");
+
+            expect(up).toContain("create or replace function \"app\".\"cliSum\"(\"a\" int4, \"b\" int4) returns int4 as $$");
+            expect(up).toContain("DROP FUNCTION IF EXISTS \"app\".\"cliSum\"(int4, int4);");
+            expect(up).toContain("INSERT INTO \"app\".pg_compute");
+            expect(down).toContain("DROP FUNCTION IF EXISTS \"app\".\"cliSum\"(\"a\" int4, \"b\" int4);");
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    })
+
+    it("should print usage", async () => {
+        const out = { log: jest.fn(), error: jest.fn() };
+
+        expect(await main(["--help"], out)).toBe(0);
+        expect(out.log.mock.calls[0][0]).toContain("Usage: pg-compute");
+
+        expect(await main(["unknown"], out)).toBe(1);
+        expect(out.error.mock.calls[0][0]).toContain("Unknown command");
+    })
+});
@@ -0,0 +1,456 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const childProcess = require("child_process");
+const path = require("path");
+const { PgCompute, DeploymentMode, SqlFixtures, PgComputeError, ResultDecoder } = require("../compute/pg_compute");
+
+describe("Local Mode Tests", () => {
+    let fixtures;
+    let pgCompute;
+
+    beforeEach(async () => {
+        fixtures = new SqlFixtures()
+            .on("select balance from accounts where id = $1", (params) => [{ balance: params[0] * 100 }])
+            .on(/^update accounts/i, 1)
+            .on("select id from accounts", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures });
+        await pgCompute.init();
+    });
+
+    it("should run functions without a database", async () => {
+        expect(await pgCompute.run(undefined, localMultiply, 3, 4)).toBe(12);
+        expect(await pgCompute.run(undefined, localGetBalance, 2)).toBe(200);
+
+        expect(fixtures.queries).toEqual([{ sql: "select balance from accounts where id = $1", params: [2] }]);
+
+        // The results are serialized to JSON like the database does
+        expect(await pgCompute.run(undefined, localGetDate)).toBe("2023-01-01T00:00:00.000Z");
+
+        // An explicit null gets the default value like an omitted argument does in the database
+        expect(await pgCompute.run(undefined, localGreet, "Mary")).toBe("Hello, Mary");
+        expect(await pgCompute.run(undefined, localGreet, "Mary", null)).toBe("Hello, Mary");
+    })
+
+    it("should emulate the plv8 API", async () => {
+        expect(await pgCompute.run(undefined, localWithdraw, 1, 50)).toEqual({ updated: 1, balance: 50 });
+        expect(await pgCompute.run(undefined, localSumIds)).toBe(6);
+
+        let messages = [];
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public",
+            { sqlHandler: fixtures, onMessage: (level, message) => messages.push(level + " " + message) });
+
+        await expect(pgCompute.run(undefined, localWithdraw, 1, 500)).rejects.toThrow("Insufficient balance");
+        expect(messages).toEqual(["NOTICE Withdrawing 500 from 1"]);
+
+        // The messages are passed to the logger by default
+        const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, logger: logger });
+
+        await pgCompute.run(undefined, localWithdraw, 1, 50);
+        expect(logger.debug).toHaveBeenCalledWith("NOTICE: Withdrawing 50 from 1");
+
+        pgCompute.define(localMultiply);
+        expect(await pgCompute.run(undefined, localCallOther, 5)).toBe(25);
+    })
+
+    it("should run set-returning functions and batches", async () => {
+        expect(await pgCompute.run(undefined, localSquares, 3)).toEqual([0, 1, 4]);
+
+        let rows = [];
+
+        for await (const row of pgCompute.stream(undefined, localSquares, 2))
+            rows.push(row);
+
+        expect(rows).toEqual([0, 1]);
+
+        expect(await pgCompute.batch(undefined, [[localMultiply, 2, 2], [localSquares, 2]])).toEqual([4, [0, 1]]);
+        expect(await pgCompute.runMany(undefined, localMultiply, [[1, 1], [2, 2]])).toEqual([1, 4]);
+
+        const result = await pgCompute.transaction(undefined, async (tx) => {
+            return await tx.run(localWithdraw, 1, 10);
+        });
+
+        expect(result.updated).toBe(1);
+        expect(fixtures.queries[0].sql).toBe("BEGIN;");
+        expect(fixtures.queries[fixtures.queries.length - 1].sql).toBe("COMMIT;");
+    })
+
+    it("should decode results into JavaScript types", async () => {
+        fixtures.on("select id, created_at from orders", [{ id: 1, created_at: new Date(Date.UTC(2023, 0, 1)) }]);
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public",
+            { sqlHandler: fixtures, reviver: ResultDecoder.reviveDates, decimal: (value) => ({ decimal: value }) });
+
+        // The dates of JSON results are serialized like the database does and revived
+        expect(await pgCompute.run(undefined, localGetDate)).toEqual(new Date(Date.UTC(2023, 0, 1)));
+
+        pgCompute.define(localMultiply, { returns: "int8" });
+        expect(await pgCompute.run(undefined, localMultiply, 2, 3)).toBe(6n);
+
+        pgCompute.define(localMultiply, { returns: "numeric" });
+        expect(await pgCompute.run(undefined, localMultiply, 2.5, 3)).toEqual({ decimal: "7.5" });
+
+        pgCompute.define(localGetBytes, { returns: "bytea" });
+        expect(await pgCompute.run(undefined, localGetBytes)).toEqual(Buffer.from([1, 2, 3]));
+
+        pgCompute.define(localSquares, { returns: "setof int8" });
+        expect(await pgCompute.run(undefined, localSquares, 3)).toEqual([0n, 1n, 4n]);
+
+        // The generator body sees the arguments of the deployed function
+        pgCompute.define(localYieldArgs, { returns: "setof int4" });
+        expect(await pgCompute.run(undefined, localYieldArgs, 1, 2)).toEqual([2, 3]);
+
+        pgCompute.define(localSquareRows, { returns: "table(n int4, square int8)" });
+        expect(await pgCompute.run(undefined, localSquareRows, 2)).toEqual([{ n: 0, square: 0n }, { n: 1, square: 1n }]);
+
+        // The shape applies to every row, the reviver of the function overrides the common one
+        pgCompute.define(localGetOrders, { shape: { id: "int8" }, reviver: (key, value) => value });
+        expect(await pgCompute.run(undefined, localGetOrders)).toEqual([{ id: 1n, created_at: "2023-01-01T00:00:00.000Z" }]);
+
+        expect(() => pgCompute.define(localGetOrders, { shape: { id: 8 } })).toThrow("Invalid shape");
+    })
+
+    it("should require the declared modules", async () => {
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", {
+            sqlHandler: fixtures,
+            modules: { money: path.join(__dirname, "fixtures", "modules", "money.js"), ms: "ms" }
+        });
+
+        expect(await pgCompute.run(undefined, localFormatAmount, 3.14159, "USD")).toBe("3.14 USD");
+        expect(await pgCompute.run(undefined, localFormatAmount, 12.5, "JPY")).toBe("13 JPY");
+        expect(await pgCompute.run(undefined, localFormatDuration, 90000)).toBe("2m");
+
+        await expect(pgCompute.run(undefined, localRequireUndeclared)).rejects.toThrow(
+            "Function 'localRequireUndeclared' can't run in plv8: module 'decimal.js' is not declared with the 'modules' option");
+
+        expect(() => new PgCompute(DeploymentMode.LOCAL, "public", { modules: ["./missing-module.js"] }))
+            .toThrow("Failed to resolve module './missing-module.js'");
+        await expect(pgCompute.deployModules(undefined)).rejects.toThrow("is not supported in the 'LOCAL' mode");
+    })
+
+    it("should include the referenced helpers and constants", async () => {
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", {
+            sqlHandler: fixtures,
+            scope: { LOCAL_TAX_RATE: 0.2, LOCAL_SETTINGS: { currency: "USD" }, localRoundCents, localFormatPrice }
+        });
+
+        expect(await pgCompute.run(undefined, localPriceWithTax, 10.123)).toBe("12.15 USD");
+
+        // The scope of the function takes precedence
+        pgCompute.define(localPriceWithTax, { scope: { LOCAL_TAX_RATE: 0.5 } });
+        expect(await pgCompute.run(undefined, localPriceWithTax, 10)).toBe("15 USD");
+
+        await expect(pgCompute.run(undefined, localUseUnknown, 1)).rejects.toThrow(
+            "Function 'localUseUnknown' can't run in plv8: 'unknownHelper' is not declared in the function or in its scope (line 2");
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, globals: ["unknownHelper", "UNKNOWN_LIMIT"] });
+        await expect(pgCompute.run(undefined, localUseUnknown, 1)).rejects.toThrow("unknownHelper is not defined");
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, scope: { unknownHelper: Math.max } });
+        await expect(pgCompute.run(undefined, localUseUnknown, 1)).rejects.toThrow(
+            "references 'unknownHelper' that is a native or bound function");
+
+        expect(() => new PgCompute(DeploymentMode.LOCAL, "public", { scope: "helpers" })).toThrow("Invalid scope");
+    })
+
+    it("should reject the code that can't run in plv8", async () => {
+        expect(pgCompute.validate(localMultiply)).toEqual([]);
+
+        // The columns are not checked since the test sources are transformed
+        expect(pgCompute.validate(localScheduleFetch)).toMatchObject([
+            {
+                functionName: "localScheduleFetch", identifier: "setTimeout",
+                message: "'setTimeout' is a Node.js API that is not available in plv8", location: { line: 2 }
+            },
+            {
+                functionName: "localScheduleFetch", identifier: "Buffer",
+                message: "'Buffer' is a Node.js API that is not available in plv8", location: { line: 3 }
+            },
+            {
+                functionName: "localScheduleFetch", identifier: "fetch",
+                message: "'fetch' is a Node.js API that is not available in plv8", location: { line: 3 }
+            }
+        ]);
+
+        await expect(pgCompute.run(undefined, localScheduleFetch, "/rates")).rejects.toThrow(
+            "Function 'localScheduleFetch' can't run in plv8: 'setTimeout' is a Node.js API that is not available in plv8 (line 2");
+
+        // plv8 has no console, unlike Node.js and other V8 embedders
+        expect(pgCompute.validate(localLogTotal)).toMatchObject([
+            {
+                functionName: "localLogTotal", identifier: "console",
+                message: "'console' is a Node.js API that is not available in plv8", location: { line: 3 }
+            },
+            {
+                functionName: "localLogTotal", identifier: "WebAssembly",
+                message: "'WebAssembly' is not declared in the function or in its scope", location: { line: 4 }
+            }
+        ]);
+
+        // The variables of the enclosing function are not deployed with a closure
+        const localDouble = localMakeMultiplier(2);
+
+        expect(pgCompute.validate(localDouble).map(problem => problem.identifier)).toEqual(["factor"]);
+
+        // The included helpers are checked as well
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, scope: { localLoadRates } });
+
+        expect(pgCompute.validate(localUseAsyncHelper)).toMatchObject([
+            { functionName: "localLoadRates", identifier: "async", location: { line: 1 } },
+            { functionName: "localLoadRates", identifier: "await", location: { line: 2 } }
+        ]);
+        await expect(pgCompute.run(undefined, localUseAsyncHelper)).rejects.toThrow(
+            /'await' is not supported since plv8 runs the functions synchronously \(line 2, column \d+ in 'localLoadRates'\)/);
+
+        // The identifiers listed in the globals are allowed
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { globals: ["setTimeout", "Buffer", "fetch"] });
+        expect(pgCompute.validate(localScheduleFetch)).toEqual([]);
+    })
+
+    it("should validate the functions passed to init", async () => {
+        await expect(pgCompute.init(undefined, { functions: [localMultiply, localScheduleFetch] })).rejects.toThrow(
+            "Function 'localScheduleFetch' can't run in plv8");
+        await expect(pgCompute.init(undefined, { functions: localMultiply })).rejects.toThrow("Invalid functions");
+
+        expect(await pgCompute.init(undefined, { functions: [localMultiply] })).toBeUndefined();
+        await expect(pgCompute.register(undefined, [localMultiply])).rejects.toThrow("is not supported in the 'LOCAL' mode");
+    })
+
+    it("should report missing fixtures and unsupported methods", async () => {
+        await expect(pgCompute.run(undefined, localUnknownQuery)).rejects.toThrow("No fixture found for the query");
+        await expect(pgCompute.deploy(undefined, localMultiply)).rejects.toThrow("is not supported in the 'LOCAL' mode");
+    })
+
+    it("should emit execution events and log messages", async () => {
+        let messages = [];
+        let events = [];
+        const logger = {
+            debug: (message) => messages.push("debug " + message), info: () => { }, warn: () => { },
+            error: (message) => messages.push("error " + message)
+        };
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, logger: logger });
+
+        for (const event of ["run:start", "run:end", "error"])
+            pgCompute.on(event, (details, execution) => events.push({ event: event, details: details, execution: execution }));
+
+        expect(await pgCompute.run(undefined, localMultiply, 2, 3)).toBe(6);
+
+        expect(events.map(event => event.event)).toEqual(["run:start", "run:end"]);
+        expect(events[0].details).toEqual({ method: "run", functionName: "localMultiply" });
+        expect(events[1].details.duration).toBeGreaterThanOrEqual(0);
+
+        events = [];
+        await expect(pgCompute.run(undefined, localWithdraw, 1, 500)).rejects.toThrow("Insufficient balance");
+
+        expect(events.map(event => event.event)).toEqual(["run:start", "error"]);
+        expect(events[1].details.plv8Message).toBe("Insufficient balance");
+        expect(events[1].execution).toEqual({ method: "run", functionName: "localWithdraw" });
+
+        expect(messages[0]).toBe("debug NOTICE: Withdrawing 500 from 1");
+        expect(messages[1]).toContain("error Failed to execute function 'localWithdraw'");
+
+        // Without listeners, the error is only thrown
+        pgCompute.removeAllListeners("error");
+        await expect(pgCompute.run(undefined, localWithdraw, 1, 500)).rejects.toThrow("Insufficient balance");
+    })
+
+    it("should map function errors to the source file", async () => {
+        let error = await pgCompute.run(undefined, localWithdraw, 1, 500).catch(error => error);
+
+        expect(error).toBeInstanceOf(PgComputeError);
+        expect(error.message).toBe("Function 'localWithdraw' failed: Insufficient balance");
+        expect(error.functionName).toBe("localWithdraw");
+        expect(error.plv8Message).toBe("Insufficient balance");
+        expect(error.code).toBe("XX000");
+        expect(error.cause).toBeInstanceOf(Object);
+
+        // Jest transforms the test sources, thus, the function source is checked in a separate process
+        const fixture = path.join(__dirname, "fixtures", "failing_function.js");
+        error = JSON.parse(childProcess.execFileSync(process.execPath, [fixture], { encoding: "utf8" }));
+
+        expect(error.name).toBe("PgComputeError");
+        expect(error.functionName).toBe("failingTransfer");
+        expect(error.location).toEqual({ file: fixture, line: 12, column: 15 });
+        expect(error.stack.split("\n")[1]).toBe("    at failingTransfer (" + fixture + ":12:15)");
+    })
+
+    it("should name functions after their source or the defined name", async () => {
+        let names = [];
+        pgCompute.on("run:start", (details) => names.push(details.functionName));
+
+        expect(await pgCompute.run(undefined, (a, b) => a + b, 2, 3)).toBe(5);
+        expect(names[0]).toMatch(/^pgc_[0-9a-f]{32}$/);
+
+        // The names are case-sensitive and might be reserved words
+        pgCompute.define(localMultiply, { name: "order" });
+        expect(await pgCompute.run(undefined, localMultiply, 2, 3)).toBe(6);
+        expect(names[1]).toBe("order");
+
+        expect(await pgCompute.run(undefined, localCallOrder, 5)).toBe(25);
+        await expect(pgCompute.run(undefined, localCallOther, 5)).rejects.toThrow('function public."localMultiply" does not exist');
+
+        expect(() => pgCompute.define(localMultiply, { name: "" })).toThrow("Invalid function name ''");
+
+        const anonymousName = names[0];
+        names = [];
+
+        pgCompute = new PgCompute(DeploymentMode.LOCAL, "public", { sqlHandler: fixtures, hashNames: true });
+        pgCompute.on("run:start", (details) => names.push(details.functionName));
+
+        expect(await pgCompute.run(undefined, localMultiply, 2, 3)).toBe(6);
+        expect(names[0]).toMatch(/^pgc_[0-9a-f]{32}$/);
+        expect(names[0]).not.toBe(anonymousName);
+    })
+});
+
+function localMultiply(a, b) {
+    return a * b;
+}
+
+function localGetBalance(id) {
+    return plv8.execute("select balance from accounts where id = $1", [id])[0].balance;
+}
+
+function localGetDate() {
+    return new Date(Date.UTC(2023, 0, 1));
+}
+
+function localWithdraw(id, amount) {
+    plv8.elog(NOTICE, "Withdrawing", amount, "from", id);
+
+    const plan = plv8.prepare("select balance from accounts where id = $1", ["int4"]);
+    const balance = plan.execute([id])[0].balance;
+    plan.free();
+
+    if (balance < amount)
+        plv8.elog(ERROR, "Insufficient balance");
+
+    return plv8.subtransaction(() => {
+        return { updated: plv8.execute("update accounts set balance = balance - $2 where id = $1", id, amount), balance: balance - amount };
+    });
+}
+
+function localSumIds() {
+    const plan = plv8.prepare("select id from accounts");
+    const cursor = plan.cursor();
+    let sum = 0, row;
+
+    while ((row = cursor.fetch()) != undefined)
+        sum += row.id;
+
+    cursor.close();
+    plan.free();
+
+    return sum;
+}
+
+function localCallOther(a) {
+    const multiply = plv8.find_function('public."localMultiply"');
+    return multiply(a, a);
+}
+
+function localCallOrder(a) {
+    const multiply = plv8.find_function('"order"(int4, int4)');
+    return multiply(a, a);
+}
+
+function* localSquares(cnt) {
+    for (let n = 0; n < cnt; n++)
+        yield n * n;
+}
+
+function localGreet(name, greeting = "Hello") {
+    return greeting + ", " + name;
+}
+
+function* localYieldArgs(a, b) {
+    yield arguments.length;
+    yield a + b;
+}
+
+function* localSquareRows(cnt) {
+    for (let n = 0; n < cnt; n++)
+        yield { n: n, square: n * n };
+}
+
+function localGetBytes() {
+    return new Uint8Array([1, 2, 3]);
+}
+
+function localGetOrders() {
+    return plv8.execute("select id, created_at from orders");
+}
+
+function localFormatAmount(amount, currency) {
+    const money = require("money");
+    return money.format(amount, currency);
+}
+
+function localFormatDuration(ms) {
+    return require("ms")(ms);
+}
+
+function localRequireUndeclared() {
+    return require("decimal.js");
+}
+
+function localRoundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function localFormatPrice(amount) {
+    return localRoundCents(amount) + " " + LOCAL_SETTINGS.currency;
+}
+
+function localPriceWithTax(amount) {
+    return localFormatPrice(amount * (1 + LOCAL_TAX_RATE));
+}
+
+function localUseUnknown(a) {
+    return unknownHelper(a, UNKNOWN_LIMIT);
+}
+
+function localScheduleFetch(url) {
+    setTimeout(() => { }, 1000);
+    return Buffer.from(fetch(url));
+}
+
+function localLogTotal(a, b) {
+    const total = Math.max(a, 0) + Math.max(b, 0);
+    console.log("total: " + total);
+    return typeof WebAssembly == "object" ? total : JSON.stringify(total);
+}
+
+function localMakeMultiplier(factor) {
+    return function localMultiplyBy(value) {
+        return value * factor;
+    };
+}
+
+async function localLoadRates() {
+    return await Promise.resolve({ USD: 1 });
+}
+
+function localUseAsyncHelper() {
+    return localLoadRates();
+}
+
+function localUnknownQuery() {
+    return plv8.execute("select 1");
+}
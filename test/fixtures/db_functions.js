@@ -0,0 +1,20 @@
+/**
+ * Sample database functions for the pg-compute CLI tests.
+ */
+
+function cliSum(a, b) {
+    /**
+     * @param {int4} a
+     * @param {int4} b
+     * @returns {int4}
+     */
+    return a + b;
+}
+
+function cliNow() {
+    return plv8.execute("select now()");
+}
+
+module.exports.cliSum = cliSum;
+module.exports.cliNow = cliNow;
+module.exports.version = "1.0";
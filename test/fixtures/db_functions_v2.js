@@ -0,0 +1,23 @@
+/**
+ * The next version of the sample database functions for the pg-compute CLI tests.
+ */
+
+function cliSum(a, b) {
+    /**
+     * @param {int8} a
+     * @param {int8} b
+     * @returns {int8}
+     */
+    return a + b;
+}
+
+function cliNow() {
+    /**
+     * @returns {text}
+     */
+    return String(plv8.execute("select now() as now")[0].now);
+}
+
+module.exports.cliSum = cliSum;
+module.exports.cliNow = cliNow;
+module.exports.version = "2.0";
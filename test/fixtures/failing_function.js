@@ -0,0 +1,27 @@
+/**
+ * Executes a failing function in the LOCAL mode and prints the error, for the error mapping tests.
+ * The script runs in a separate Node.js process because Jest transforms the sources of the test files.
+ */
+
+const { PgCompute, DeploymentMode } = require("../../compute/pg_compute");
+
+function failingTransfer(from, amount) {
+    const balance = from * 10;
+
+    if (amount > balance)
+        throw new Error("Not enough funds on account " + from);
+
+    return balance - amount;
+}
+
+new PgCompute(DeploymentMode.LOCAL).run(undefined, failingTransfer, 1, 100).catch(error => {
+    console.log(JSON.stringify({
+        name: error.name,
+        message: error.message,
+        functionName: error.functionName,
+        code: error.code,
+        plv8Message: error.plv8Message,
+        location: error.location,
+        stack: error.stack
+    }));
+});
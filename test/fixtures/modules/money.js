@@ -0,0 +1,13 @@
+/**
+ * A shared module required by the functions in the module tests.
+ */
+
+const { roundTo } = require("./rounding");
+const currencies = require("./currencies.json");
+
+function format(amount, currency) {
+    return roundTo(amount, currencies[currency].digits).toFixed(currencies[currency].digits) + " " + currency;
+}
+
+module.exports.format = format;
+module.exports.roundTo = roundTo;
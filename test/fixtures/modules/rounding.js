@@ -0,0 +1,11 @@
+/**
+ * Rounding helpers required by the money module.
+ */
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+
+    return Math.round(value * factor) / factor;
+}
+
+module.exports.roundTo = roundTo;
@@ -0,0 +1,164 @@
+/**
+ * Copyright 2023 Denis Magda
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const { FunctionParser } = require("../compute/function_parser");
+
+/**
+ * Runs the parsed body the way plv8 does: as the body of a function with the parsed argument names.
+ */
+function runParsed(func, ...args) {
+    const parsed = FunctionParser.parse(func);
+    return new Function(...parsed.argNames, parsed.body)(...args);
+}
+
+describe("Function Parser Tests", () => {
+    it("should parse function declarations", () => {
+        function sum(a, b) {
+            // Braces in comments and strings: { "}" }
+            return a + b + "}".length;
+        }
+
+        const parsed = FunctionParser.parse(sum);
+
+        expect(parsed.name).toBe("sum");
+        expect(parsed.argNames).toEqual(["a", "b"]);
+        expect(parsed.requiredArgsCnt).toBe(2);
+        expect(parsed.rest).toBe(false);
+        expect(parsed.generator).toBe(false);
+        expect(runParsed(sum, 1, 2)).toBe(4);
+    })
+
+    it("should parse arrow functions", () => {
+        const multiply = (a, b) => a * b;
+        const square = x => { return x * x; };
+        const pair = (a, b) => ({ a, b });
+
+        expect(FunctionParser.parse(multiply).argNames).toEqual(["a", "b"]);
+        expect(runParsed(multiply, 3, 4)).toBe(12);
+        expect(FunctionParser.parse(square).argNames).toEqual(["x"]);
+        expect(runParsed(square, 5)).toBe(25);
+        expect(runParsed(pair, 1, 2)).toEqual({ a: 1, b: 2 });
+    })
+
+    it("should parse methods", () => {
+        const functions = {
+            greet(name) { return "Hello, " + name; },
+            *range(n) { for (let i = 0; i < n; i++) yield i; }
+        };
+
+        class Calculator {
+            static add(a, b) { return a + b; }
+        }
+
+        expect(runParsed(functions.greet, "Mary")).toBe("Hello, Mary");
+        expect(FunctionParser.parse(functions.range).generator).toBe(true);
+        expect(FunctionParser.parse(Calculator.add).argNames).toEqual(["a", "b"]);
+        expect(runParsed(Calculator.add, 1, 2)).toBe(3);
+    })
+
+    it("should apply default values", () => {
+        function greet(name, greeting = "Hello", punctuation = "!") {
+            return greeting + ", " + name + punctuation;
+        }
+
+        const parsed = FunctionParser.parse(greet);
+
+        expect(parsed.argNames).toEqual(["name", "greeting", "punctuation"]);
+        expect(parsed.requiredArgsCnt).toBe(1);
+        expect(runParsed(greet, "Mary")).toBe("Hello, Mary!");
+        // Omitted arguments arrive as NULLs from Postgres
+        expect(runParsed(greet, "Mary", null, "?")).toBe("Hello, Mary?");
+    })
+
+    it("should destructure arguments", () => {
+        function describe({ name, age = 30 }, [first, second]) {
+            return name + " " + age + " " + first + " " + second;
+        }
+
+        const parsed = FunctionParser.parse(describe);
+
+        expect(parsed.argNames).toEqual(["__pgc_arg0", "__pgc_arg1"]);
+        expect(runParsed(describe, { name: "Mary" }, [1, 2])).toBe("Mary 30 1 2");
+    })
+
+    it("should support rest arguments", () => {
+        function join(separator, ...items) {
+            return items.join(separator);
+        }
+
+        const parsed = FunctionParser.parse(join);
+
+        expect(parsed.argNames).toEqual(["separator", "items"]);
+        expect(parsed.requiredArgsCnt).toBe(1);
+        expect(parsed.rest).toBe(true);
+        expect(runParsed(join, "-", ["a", "b"])).toBe("a-b");
+    })
+
+    it("should report the body offset", () => {
+        const arrow = (a) => a * 2;
+        const method = ({ square(a) { return a * a; } }).square;
+
+        for (const func of [arrow, method]) {
+            const parsed = FunctionParser.parse(func);
+            const source = func.toString();
+
+            expect(source.substring(parsed.bodyOffset)).toMatch(/^\s*(return )?a \* /);
+        }
+
+        // The functions of the transformed test sources are not found
+        expect(FunctionParser.locate(arrow)).toBeUndefined();
+    })
+
+    it("should locate functions in the files of their callers", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pg-compute-"));
+        const file = path.join(dir, "functions.js");
+
+        try {
+            // The file isn't a loaded module, it's found because the function is recorded from it.
+            // The factor is added separately, so that the function source isn't found in this file.
+            fs.writeFileSync(file, "(function (record) {\n" +
+                "    function tripled(a) { return a * " + 3 + "; }\n" +
+                "    record(tripled);\n" +
+                "    return tripled;\n" +
+                "})");
+
+            const tripled = vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file })(
+                (func) => FunctionParser.recordCaller(func));
+
+            expect(FunctionParser.locate(tripled)).toEqual({ file: file, line: 2, column: 5 });
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    })
+
+    it("should reject unsupported functions", () => {
+        async function fetchData() { return 1; }
+        class Data { }
+        const obj = { get value() { return 1; } };
+        const getter = Object.getOwnPropertyDescriptor(obj, "value").get;
+
+        expect(() => FunctionParser.parse(fetchData)).toThrow("Function 'fetchData' is async");
+        expect(() => FunctionParser.parse(Data)).toThrow("Class 'Data' can't be deployed");
+        expect(() => FunctionParser.parse(getter)).toThrow("is a getter or setter");
+        expect(() => FunctionParser.parse(Math.max)).toThrow("is a native or bound function");
+        expect(() => FunctionParser.parse(runParsed.bind(null))).toThrow("is a native or bound function");
+        expect(() => FunctionParser.parse("function () {}")).toThrow("Invalid function object");
+    })
+});
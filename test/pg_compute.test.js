@@ -14,9 +14,14 @@
  * limitations under the License.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { Client, Pool } = require("pg");
 const { PostgreSqlContainer } = require("@testcontainers/postgresql");
-const { PgCompute, DeploymentMode } = require("../compute/pg_compute");
+const { PgCompute, DeploymentMode, ConflictPolicy, IsolationLevel, PgComputeError, ResultDecoder, EnvironmentError } =
+    require("../compute/pg_compute");
+const cli = require("../compute/cli");
 
 describe("PgCompute Tests", () => {
     jest.setTimeout(60000);
@@ -65,104 +70,1158 @@ describe("PgCompute Tests", () => {
         expect(result.rows[0].args).toMatch("");
     })
 
+    it("should check the database environment on init", async () => {
+        let pgCompute = new PgCompute();
+        expect(pgCompute.environment()).toBeUndefined();
+
+        await pgCompute.init(pgClient);
+
+        const plv8Version = pgCompute.environment().plv8_version;
+
+        expect(plv8Version).toMatch(/^\d+\.\d+\.\d+$/);
+        expect(pgCompute.environment().server_version_num).toBeGreaterThan(0);
+
+        // A database without plv8 and a role without privileges
+        await pgClient.query("create database pgc_preflight");
+
+        const dbUri = new URL(pgContainer.getConnectionUri());
+        dbUri.pathname = "/pgc_preflight";
+
+        const preflightClient = new Client({ connectionString: dbUri.toString() });
+        await preflightClient.connect();
+
+        try {
+            await preflightClient.query("create schema restricted; create role pgc_restricted; set role pgc_restricted;");
+
+            pgCompute = new PgCompute(DeploymentMode.AUTO, "restricted");
+            const error = await pgCompute.init(preflightClient).catch(error => error);
+
+            expect(error).toBeInstanceOf(EnvironmentError);
+            expect(error.unmet.map(item => item.requirement)).toEqual(["plv8Installed", "createPrivilege"]);
+            expect(error.message).toContain("Role 'pgc_restricted' doesn't have the CREATE privilege on schema 'restricted'");
+
+            let result = await preflightClient.query("select count(*) from pg_class where relname = 'pg_compute'");
+            expect(result.rows[0].count).toBe("0");
+
+            await preflightClient.query("reset role;");
+
+            pgCompute = new PgCompute(DeploymentMode.AUTO, "restricted");
+            await pgCompute.init(preflightClient, { createExtension: true });
+
+            expect(pgCompute.environment().plv8_version).toBe(plv8Version);
+            expect(await pgCompute.run(preflightClient, plv8TestSum)).toBe(5);
+        } finally {
+            await preflightClient.end();
+        }
+    })
+
     it("should pass arg values", async () => {
         let pgCompute = new PgCompute();
         await pgCompute.init(pgClient);
 
-        let a = 1, b = 2, c = 3;
-        let result = await pgCompute.run(pgClient, plv8SumOfThree, a, b, c);
+        let a = 1, b = 2, c = 3;
+        let result = await pgCompute.run(pgClient, plv8SumOfThree, a, b, c);
+
+        expect(result).toBe(a + b + c);
+
+        result = await checkFunctionDeployed(pgClient, plv8SumOfThree);
+        expect(result.rows[0].args).toContain("int");
+    })
+
+    it("should fail due to invalid arguments", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await expect(
+            pgCompute.run(pgClient, plv8SumOfThree, 1, 2, 'test')).rejects.toThrow("invalid input syntax for type integer");
+
+
+        await expect(
+            pgCompute.run(pgClient, plv8SumOfThree, 1, 2)).rejects.toThrow("Function arguments mismatch");
+
+        await expect(
+            pgCompute.run(pgClient, plv8SumOfThree, 1, true, 3)).
+            rejects.toThrow("invalid input syntax for type integer");
+    })
+
+    it("should bind arguments as query parameters", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        let result = await pgCompute.run(pgClient, plv8Greeting, "O'Brien");
+        expect(result).toBe("Hello, O'Brien");
+
+        result = await pgCompute.run(pgClient, plv8Greeting, "'); drop table pg_compute; --");
+        expect(result).toBe("Hello, '); drop table pg_compute; --");
+
+        result = await checkFunctionDeployed(pgClient, plv8Greeting);
+        expect(result.rows[0].args).toBe("name text");
+    })
+
+    it("should support various argument types", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        const date = new Date("2023-09-01T10:15:00Z");
+        const result = await pgCompute.run(pgClient, plv8ArgumentTypes,
+            { id: 1, tags: ["a", "b"] }, [1, "two"], [1.5, 2], new Int32Array([1, 2]), ["x", "y"],
+            Buffer.from("abc"), date, 9007199254740991n, null);
+
+        expect(result.obj).toEqual({ id: 1, tags: ["a", "b"] });
+        expect(result.mixed).toEqual([1, "two"]);
+        expect(result.floats).toEqual([1.5, 2]);
+        expect(result.ints).toEqual([1, 2]);
+        expect(result.strs).toEqual(["x", "y"]);
+        expect(result.bytes).toBe(3);
+        expect(new Date(result.ts).getTime()).toBe(date.getTime());
+        expect(result.big).toBe("9007199254740991");
+        expect(result.empty).toBeNull();
+
+        const deployed = await checkFunctionDeployed(pgClient, plv8ArgumentTypes);
+        expect(deployed.rows[0].args).toBe("obj jsonb, mixed jsonb, floats float8[], ints int4[], strs text[], " +
+            "bytes bytea, ts timestamptz, big bigint, empty jsonb");
+    })
+
+    it("should pass fractional numbers without losing precision", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8EchoNumber, 0.1)).toBe(0.1);
+        expect(await pgCompute.run(pgClient, plv8EchoNumber, 1234567.891)).toBe(1234567.891);
+
+        let result = await checkFunctionDeployed(pgClient, plv8EchoNumber);
+        expect(result.rows[0].args).toBe("x float8");
+
+        // A function with an unknown signature gets untyped parameters, so a numeric argument accepts them
+        await pgClient.query('create function "plv8ManualScale"(amount numeric, factor int4) returns JSON as $$' +
+            "return amount * factor; $$ language plv8");
+
+        pgCompute = new PgCompute(DeploymentMode.MANUAL);
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8ManualScale, 1.25, 2)).toBe(2.5);
+    })
+
+    it("should deploy function with declared signature", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8Multiply, { args: { a: "numeric", b: "numeric" }, returns: "float8" });
+
+        let result = await pgCompute.run(pgClient, plv8Multiply, 1, 2);
+        expect(result).toBe(2);
+
+        result = await pgCompute.run(pgClient, plv8Multiply, 1.5, 3e9);
+        expect(result).toBe(4.5e9);
+
+        result = await checkFunctionDeployed(pgClient, plv8Multiply);
+        expect(result.rows[0].args).toBe("a numeric, b numeric");
+        expect(result.rows[0].returns).toBe("float8");
+
+        expect(() => pgCompute.define(plv8Multiply, { args: { c: "int4" } })).toThrow("doesn't have argument 'c'");
+    })
+
+    it("should read signature from JSDoc annotations", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        let result = await pgCompute.run(pgClient, plv8JoinTags, 1, ["a", "b"]);
+        expect(result).toBe("1:a,b");
+
+        result = await checkFunctionDeployed(pgClient, plv8JoinTags);
+        expect(result.rows[0].args).toBe("id int8, tags text[]");
+        expect(result.rows[0].returns).toBe("text");
+    })
+
+    it("should run set-returning functions", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        let result = await pgCompute.run(pgClient, plv8GenerateSquares, 3);
+        expect(result).toEqual([{ n: 0, square: 0 }, { n: 1, square: 1 }, { n: 2, square: 4 }]);
+
+        result = await checkFunctionDeployed(pgClient, plv8GenerateSquares);
+        expect(result.rows[0].returns).toBe("setof jsonb");
+
+        pgCompute.define(plv8SquaresTable, { returns: "table(n int4, square int4)" });
+
+        result = await pgCompute.run(pgClient, plv8SquaresTable, 2);
+        expect(result).toEqual([{ n: 0, square: 0 }, { n: 1, square: 1 }]);
+    })
+
+    it("should decode results into JavaScript types", async () => {
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, "public", { reviver: ResultDecoder.reviveDates });
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8DoubleBig, { args: { a: "int8" }, returns: "int8" });
+        expect(await pgCompute.run(pgClient, plv8DoubleBig, 2 ** 40)).toBe(2n ** 41n);
+
+        // The ISO timestamps of JSON results are revived
+        expect(await pgCompute.run(pgClient, plv8GetEvent, 1)).toEqual({ id: 1, at: new Date(Date.UTC(2023, 0, 1)) });
+
+        // The rows of batches are aggregated into JSON, they are decoded according to the declared columns
+        pgCompute.define(plv8EventsTable, { returns: "table(id int8, at timestamptz)" });
+
+        const [events, doubled] = await pgCompute.batch(pgClient, [[plv8EventsTable, 2], [plv8DoubleBig, 3]]);
+        expect(events).toEqual([{ id: 0n, at: new Date(Date.UTC(2023, 0, 1)) }, { id: 1n, at: new Date(Date.UTC(2023, 0, 2)) }]);
+        expect(doubled).toBe(6n);
+
+        // The shape describes the fields of the JSON results
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8GetEvent, { shape: { id: "int8", at: "timestamptz" } });
+        expect(await pgCompute.run(pgClient, plv8GetEvent, 5)).toEqual({ id: 5n, at: new Date(Date.UTC(2023, 0, 1)) });
+
+        expect(() => pgCompute.define(plv8GetEvent, { reviver: "dates" })).toThrow("Invalid reviver option");
+    })
+
+    it("should require modules deployed to the database", async () => {
+        const moneyModule = path.join(__dirname, "fixtures", "modules", "money.js");
+        let events = [];
+
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, "public", { modules: { money: moneyModule, ms: "ms" } });
+        pgCompute.on("deploy", (details) => events.push(details));
+        await pgCompute.init(pgClient);
+
+        expect(events).toEqual([{ moduleName: "money" }, { moduleName: "ms" }]);
+
+        let result = await pgClient.query("select to_regprocedure('public.pg_compute_modules_init()') is not null as exists");
+        expect(result.rows[0].exists).toBe(true);
+
+        expect(await pgCompute.run(pgClient, plv8FormatAmount, 3.14159, "USD")).toBe("3.14 USD");
+        expect(await pgCompute.run(pgPool, plv8FormatDuration, 90000)).toBe("2m");
+        expect(await pgCompute.run(pgClient, plv8RoundAmount, 2.71828)).toBe(2.72);
+
+        expect(await pgCompute.deployModules(pgClient)).toEqual(
+            [{ name: "money", action: "unchanged" }, { name: "ms", action: "unchanged" }]);
+
+        // A changed module is redeployed along with the functions requiring it
+        const hashCode = (await pgClient.query("select hashcode from pg_compute_modules where name = 'money'")).rows[0].hashcode;
+
+        events = [];
+
+        let changedCompute = new PgCompute(DeploymentMode.AUTO, "public",
+            { modules: { money: path.join(__dirname, "fixtures", "modules", "rounding.js") } });
+        changedCompute.on("redeploy", (details) => events.push(details));
+        await changedCompute.init(pgClient);
+
+        expect(await changedCompute.run(pgClient, plv8RoundAmount, 3.14159)).toBe(3.14);
+        expect(events).toEqual([{ moduleName: "money" }, { functionName: "plv8RoundAmount", args: "amount float8" }]);
+
+        result = await pgClient.query("select hashcode from pg_compute_modules where name = 'money'");
+        expect(result.rows[0].hashcode).not.toBe(hashCode);
+
+        await expect(pgCompute.run(pgClient, plv8RequireUndeclared)).rejects.toThrow(
+            "Function 'plv8RequireUndeclared' can't run in plv8: module 'decimal.js' is not declared with the 'modules' option");
+    })
+
+    it("should deploy the referenced helpers and constants", async () => {
+        let events = [];
+
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, "public",
+            { scope: { PLV8_DISCOUNT: 0.1, plv8RoundCents, plv8ApplyDiscount } });
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8DiscountedTotal, [10.555, 20])).toBe(27.5);
+
+        // A changed constant changes the function body
+        pgCompute = new PgCompute(DeploymentMode.AUTO, "public",
+            { scope: { PLV8_DISCOUNT: 0.5, plv8RoundCents, plv8ApplyDiscount } });
+        pgCompute.on("redeploy", (details) => events.push(details));
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8DiscountedTotal, [10.555, 20])).toBe(15.28);
+        expect(events).toEqual([{ functionName: "plv8DiscountedTotal", args: "prices float8[]" }]);
+
+        // Unresolved identifiers fail the function before it's deployed
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await expect(pgCompute.run(pgClient, plv8ApplyDiscount, 10)).rejects.toThrow(
+            "Function 'plv8ApplyDiscount' can't run in plv8: 'PLV8_DISCOUNT' is not declared in the function or in its scope");
+
+        let result = await pgClient.query("select count(*) from pg_proc where proname = 'plv8ApplyDiscount'");
+        expect(result.rows[0].count).toBe("0");
+    })
+
+    it("should reject the code that can't run in plv8 before deploying it", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(pgCompute.validate(plv8ReadEnv)).toMatchObject([{ functionName: "plv8ReadEnv", identifier: "process" }]);
+
+        await expect(pgCompute.run(pgClient, plv8ReadEnv, "HOME")).rejects.toThrow(
+            "Function 'plv8ReadEnv' can't run in plv8: 'process' is a Node.js API that is not available in plv8");
+        await expect(pgCompute.deploy(pgClient, plv8ReadEnv)).rejects.toThrow("'process' is a Node.js API");
+
+        let result = await pgClient.query("select count(*) from pg_proc where proname = 'plv8ReadEnv'");
+        expect(result.rows[0].count).toBe("0");
+    })
+
+    it("should register the functions up front", async () => {
+        let events = [];
+
+        let pgCompute = new PgCompute();
+        pgCompute.define(plv8RegisteredAdd, { args: { a: "int4", b: "int4" }, returns: "int4" });
+        pgCompute.on("deploy", (details) => events.push(details));
+
+        expect(await pgCompute.init(pgClient, { functions: [plv8RegisteredAdd, plv8RegisteredGreeting] })).toEqual([
+            { functionName: "plv8RegisteredAdd", args: "a int4, b int4", action: "created" },
+            { functionName: "plv8RegisteredGreeting", args: "", action: "created" }
+        ]);
+        expect(events.length).toBe(2);
+
+        // The calls don't deploy the registered functions
+        expect(await pgCompute.run(pgClient, plv8RegisteredAdd, 1, 2)).toBe(3);
+        expect(events.length).toBe(2);
+
+        let otherCompute = new PgCompute();
+        otherCompute.define(plv8RegisteredAdd, { args: { a: "int4", b: "int4" }, returns: "int4" });
+        await otherCompute.init(pgClient);
+
+        expect(await otherCompute.register(pgClient, [plv8RegisteredAdd, plv8RegisteredGreeting])).toEqual([
+            { functionName: "plv8RegisteredAdd", args: "a int4, b int4", action: "unchanged" },
+            { functionName: "plv8RegisteredGreeting", args: "", action: "unchanged" }
+        ]);
+
+        // Nothing is deployed if any function fails
+        otherCompute.define(plv8RegisteredSquare, { args: { x: "int4" }, returns: "int4" });
+
+        await expect(otherCompute.register(pgClient, [plv8RegisteredSquare, plv8ReadEnv])).rejects.toThrow(
+            "Function 'plv8ReadEnv' can't run in plv8");
+
+        otherCompute.define(plv8RegisteredGreeting, { returns: "no_such_type" });
+
+        await expect(otherCompute.register(pgClient, [plv8RegisteredSquare, plv8RegisteredGreeting])).rejects.toThrow(
+            "Failed to register function 'plv8RegisteredGreeting'");
+
+        let result = await pgClient.query("select count(*) from pg_proc where proname = 'plv8RegisteredSquare'");
+        expect(result.rows[0].count).toBe("0");
+
+        expect(await pgCompute.run(pgClient, plv8RegisteredGreeting)).toBe("Hello");
+    })
+
+    it("should run functions with default, destructured and rest arguments", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8Describe, { args: { greeting: "text", tags: "text[]" }, returns: "text" });
+
+        expect(await pgCompute.run(pgClient, plv8Describe, { name: "Mary" })).toBe("Hello, Mary");
+        // The function can't tell an explicit null from an omitted argument
+        expect(await pgCompute.run(pgClient, plv8Describe, { name: "Mary" }, null)).toBe("Hello, Mary");
+        expect(await pgCompute.run(pgClient, plv8Describe, { name: "John" }, "Hi", "admin", "dev"))
+            .toBe("Hi, John (admin, dev)");
+
+        await expect(pgCompute.run(pgClient, plv8Describe)).rejects.toThrow("Expected 1 to 3, received 0");
+
+        expect(await pgCompute.run(pgClient, plv8Cube, 3)).toBe(27);
+    })
+
+    it("should stream rows of set-returning functions", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgPool);
+
+        let cnt = 0;
+
+        for await (const row of pgCompute.stream(pgPool, plv8GenerateSquares, 250)) {
+            expect(row.square).toBe(cnt * cnt);
+            cnt++;
+        }
+
+        expect(cnt).toBe(250);
+
+        // Stop the iteration early, the cursor must be closed and the connection released
+        for await (const row of pgCompute.stream(pgPool, plv8GenerateSquares, 250)) {
+            if (row.n == 10)
+                break;
+        }
+
+        expect(pgPool.idleCount).toBe(pgPool.totalCount);
+    })
+
+    it("should support overloaded functions", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        const circleArea = getCircleArea();
+        const rectangleArea = getRectangleArea();
+
+        expect(await pgCompute.run(pgClient, circleArea, 1)).toBeCloseTo(Math.PI);
+        expect(await pgCompute.run(pgClient, rectangleArea, 2, 3)).toBe(6);
+        expect(await pgCompute.run(pgClient, circleArea, 2)).toBeCloseTo(4 * Math.PI);
+
+        let result = await pgClient.query("select args from pg_compute where name = 'plv8Area' order by args");
+        expect(result.rows.map(row => row.args)).toEqual(["r int4", "w int4, h int4"]);
+
+        result = await pgClient.query("select count(*)::int as cnt from pg_proc where proname = 'plv8Area'");
+        expect(result.rows[0].cnt).toBe(2);
+    })
+
+    it("should drop stale overload when signature changes", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8Double, { args: { a: "int4" } });
+        expect(await pgCompute.run(pgClient, plv8Double, 2)).toBe(4);
+
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8Double, { args: { a: "numeric" } });
+        expect(await pgCompute.run(pgClient, plv8Double, 2.5)).toBe(5);
+
+        let result = await pgClient.query("select args from pg_compute where name = 'plv8Double'");
+        expect(result.rows.map(row => row.args)).toEqual(["a numeric"]);
+
+        result = await pgClient.query(
+            "select pg_get_function_identity_arguments(oid) as args from pg_proc where proname = 'plv8Double'");
+        expect(result.rows.map(row => row.args)).toEqual(["a numeric"]);
+    })
+
+    it("should deploy function attributes", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        const attributesQuery = "select provolatile, proparallel, proisstrict, prosecdef, procost, proconfig " +
+            "from pg_proc where proname = 'plv8Cube'";
+
+        pgCompute.define(plv8Cube, {
+            args: { x: "int4" }, returns: "int4", volatility: "IMMUTABLE", parallel: "safe", strict: true,
+            security: "DEFINER", cost: 5, searchPath: "public, pg_temp", set: { work_mem: "64MB" }
+        });
+
+        expect(await pgCompute.run(pgClient, plv8Cube, 2)).toBe(8);
+
+        let result = await pgClient.query(attributesQuery);
+        expect(result.rows[0]).toEqual({
+            provolatile: "i", proparallel: "s", proisstrict: true, prosecdef: true, procost: 5,
+            proconfig: ["search_path=public, pg_temp", "work_mem=64MB"]
+        });
+
+        result = await pgClient.query("select attributes from pg_compute where name = 'plv8Cube'");
+        expect(result.rows[0].attributes).toContain("immutable parallel safe strict");
+
+        // Changed attributes are redeployed
+        pgCompute.define(plv8Cube, { args: { x: "int4" }, returns: "int4", volatility: "STABLE" });
+        expect(await pgCompute.run(pgClient, plv8Cube, 3)).toBe(27);
+
+        result = await pgClient.query(attributesQuery);
+        expect(result.rows[0]).toEqual({
+            provolatile: "s", proparallel: "u", proisstrict: false, prosecdef: false, procost: 100, proconfig: null
+        });
+
+        expect(() => pgCompute.define(plv8Cube, { volatility: "CONSTANT" })).toThrow("Unsupported volatility 'CONSTANT'");
+        expect(() => pgCompute.define(plv8Cube, { cost: 0 })).toThrow("Invalid cost '0'");
+    })
+
+    it("should deploy functions under quoted and derived names", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        // The argument names keep their case, thus, plv8 passes the arguments under the names the function uses
+        expect(await pgCompute.run(pgClient, plv8AddTax, 100, 0.5)).toBe(150);
+
+        // Anonymous functions are deployed under the names derived from their source
+        expect(await pgCompute.run(pgClient, (a, b) => a - b, 5, 3)).toBe(2);
+
+        let result = await pgClient.query("select name from pg_compute where name like 'pgc\\_%'");
+        expect(result.rows.length).toBe(1);
+        expect(result.rows[0].name).toMatch(/^pgc_[0-9a-f]{32}$/);
+
+        // Reserved words can be used as names
+        pgCompute.define(plv8Triple, { name: "select" });
+        expect(await pgCompute.run(pgClient, plv8Triple, 3)).toBe(9);
+
+        result = await pgClient.query("select count(*)::int as cnt from pg_proc where proname = 'select'");
+        expect(result.rows[0].cnt).toBe(1);
+
+        // Minified functions with the same name don't overwrite each other
+        pgCompute = new PgCompute(DeploymentMode.AUTO, "public", { hashNames: true });
+        await pgCompute.init(pgClient);
+
+        let redeployed = 0;
+        pgCompute.on("redeploy", () => redeployed++);
+
+        const [first, second] = getMinifiedFunctions();
+
+        expect(await pgCompute.run(pgClient, first, 2)).toBe(3);
+        expect(await pgCompute.run(pgClient, second, 2)).toBe(4);
+        expect(await pgCompute.run(pgClient, first, 2)).toBe(3);
+        expect(redeployed).toBe(0);
+    })
+
+    it("should upgrade the functions deployed without quoting", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        // The functions and the trigger deployed by an earlier version under the lower-case names
+        await pgClient.query("create function plv8LegacyTotal(a int4, b int4) returns int4 as $$ return a + b; $$ language plv8");
+        await pgClient.query("create function plv8LegacyStatus() returns trigger as $$ NEW.status = 'new'; return NEW; $$ language plv8");
+        await pgClient.query("create table legacy_orders (id int primary key, status text)");
+        await pgClient.query("create trigger plv8LegacyStatus before insert on legacy_orders for each row execute function plv8LegacyStatus()");
+        await pgClient.query("insert into pg_compute (name, args, body_hashcode, returns, trigger_table, trigger) values " +
+            "('plv8LegacyTotal', 'a int4, b int4', 'legacy', 'int4', null, null), " +
+            "('plv8LegacyStatus', '', 'legacy', 'trigger', 'legacy_orders', 'create trigger plv8LegacyStatus')");
+
+        const procQuery = "select proname from pg_proc where lower(proname) in ('plv8legacytotal', 'plv8legacystatus') order by proname";
+
+        // The MANUAL mode leaves the functions as they are
+        pgCompute = new PgCompute(DeploymentMode.MANUAL);
+        await pgCompute.init(pgClient);
+
+        let result = await pgClient.query(procQuery);
+        expect(result.rows.map(row => row.proname)).toEqual(["plv8legacystatus", "plv8legacytotal"]);
+
+        // The AUTO mode creates the functions under the exact names beside the legacy ones
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        result = await pgClient.query(procQuery);
+        expect(result.rows.map(row => row.proname)).toEqual(
+            ["plv8LegacyStatus", "plv8LegacyTotal", "plv8legacystatus", "plv8legacytotal"]);
+
+        result = await pgClient.query('select public."plv8LegacyTotal"(1, 2) as exact, plv8LegacyTotal(1, 2) as legacy');
+        expect(result.rows[0]).toEqual({ exact: 3, legacy: 3 });
+
+        result = await pgClient.query("select tgname from pg_trigger where tgrelid = 'legacy_orders'::regclass");
+        expect(result.rows.map(row => row.tgname)).toEqual(["plv8LegacyStatus"]);
+
+        // The upgrade is done once
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        result = await pgClient.query(procQuery);
+        expect(result.rows.length).toBe(4);
+    })
+
+    it("should create custom schema", async () => {
+        let schema = "tracker";
+        pgComputeCustomSchema = new PgCompute(DeploymentMode.AUTO, schema);
+
+        await pgComputeCustomSchema.init(pgClient);
+
+        let result = await pgClient.query({
+            text: "SELECT schema_name FROM information_schema.schemata WHERE schema_name = $1",
+            values: [schema]
+        });
+
+        expect(result.rows.length).toBe(1);
+        expect(result.rows[0].schema_name).toMatch(schema);
+
+        result = await pgComputeCustomSchema.run(pgClient, trackerSchemaFunction);
+
+        expect(result[0].now).toBeDefined();
+
+        await checkFunctionDeployed(pgClient, trackerSchemaFunction, schema);
+
+        //check the function doesn't exist in the public schema
+        result = await pgClient.query({
+            text: "select * from pg_compute where name = $1",
+            values: [trackerSchemaFunction.name]
+        });
+        expect(result.rows.length).toBe(0);
+    })
+
+    it("should redeploy function redefined in the same process", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8Label)).toBe("label");
+        expect(await pgCompute.run(pgClient, plv8Label)).toBe("label");
+
+        // A function with the same name and another body, for instance, reloaded by a development server
+        expect(await deployLabelV2(pgClient, pgCompute)).toBe("LABEL");
+
+        // The changed return type is deployed as well
+        pgCompute.define(plv8Label, { returns: "text" });
+        expect(await pgCompute.run(pgClient, plv8Label)).toBe("label");
+
+        const result = await checkFunctionDeployed(pgClient, plv8Label);
+        expect(result.rows[0].returns).toBe("text");
+
+        const history = await pgCompute.history(pgClient, plv8Label);
+        expect(history.map(entry => entry.returns)).toEqual(["JSON", "JSON", "text"]);
+        expect(history[2].bodyHashCode).toBe(history[0].bodyHashCode);
+    })
+
+    it("should redeploy function", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+
+        let result = await pgCompute.run(pgClient, plv8TestSum);
+        expect(result).toBe(5);
+
+        result = await checkFunctionDeployed(pgClient, plv8TestSum);
+        const oldHashCode = result.rows[0].body_hashcode;
+
+        // Presently, the function implementation is re-checked 
+        // only when you recreate the compute object or restart the app.
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        result = await deployTestSumV2(pgClient, pgCompute);
+        expect(result).toBe(15);
+
+        result = await checkFunctionDeployed(pgClient, plv8TestSum);
+        expect(result.rows[0].body_hashcode).not.toMatch(oldHashCode);
+    })
+
+    it("should apply conflict policy when function is redeployed by another instance", async () => {
+        let oldInstance = new PgCompute(DeploymentMode.AUTO, "public", { syncInterval: 0 });
+        await oldInstance.init(pgClient);
+
+        let result = await oldInstance.run(pgClient, plv8Version);
+        expect(result).toBe(1);
+
+        // A new application instance deploys a newer version of the function
+        let newInstance = new PgCompute();
+        await newInstance.init(pgClient);
+
+        result = await deployVersionV2(pgClient, newInstance);
+        expect(result).toBe(2);
+
+        // The old instance runs the deployed version by default
+        result = await oldInstance.run(pgClient, plv8Version);
+        expect(result).toBe(2);
+
+        let refusingInstance = new PgCompute(DeploymentMode.AUTO, "public",
+            { syncInterval: 0, conflictPolicy: ConflictPolicy.REFUSE });
+        await refusingInstance.init(pgClient);
+
+        result = await deployVersionV2(pgClient, refusingInstance);
+        expect(result).toBe(2);
+
+        let redeployingInstance = new PgCompute(DeploymentMode.AUTO, "public",
+            { syncInterval: 0, conflictPolicy: ConflictPolicy.REDEPLOY });
+        await redeployingInstance.init(pgClient);
+
+        result = await redeployingInstance.run(pgClient, plv8Version);
+        expect(result).toBe(1);
+
+        await expect(deployVersionV2(pgClient, refusingInstance)).rejects.toThrow("Refusing to execute it");
+
+        result = await oldInstance.run(pgClient, plv8Version);
+        expect(result).toBe(1);
+    })
+
+    it("should not redeploy the replaced version from a restarted instance", async () => {
+        const oldInstance = new PgCompute();
+        await oldInstance.init(pgClient);
+
+        expect(await oldInstance.run(pgClient, plv8Build)).toBe("old");
+
+        // A new instance of a rolling deployment deploys its version
+        const newInstance = new PgCompute();
+        await newInstance.init(pgClient);
+
+        expect(await deployBuildV2(pgClient, newInstance)).toBe("new");
+
+        // An old instance restarts and uses the deployed version instead of flipping it back
+        let restartedInstance = new PgCompute();
+        await restartedInstance.init(pgClient);
+
+        expect(await restartedInstance.run(pgClient, plv8Build)).toBe("new");
+
+        restartedInstance = new PgCompute(DeploymentMode.AUTO, "public", { conflictPolicy: ConflictPolicy.REFUSE });
+        await restartedInstance.init(pgClient);
+
+        await expect(restartedInstance.run(pgClient, plv8Build)).rejects.toThrow("Refusing to execute it");
+
+        const history = await newInstance.history(pgClient, plv8Build);
+        expect(history.length).toBe(2);
+    })
+
+    it("should deploy concurrently from several instances", async () => {
+        const schema = "concurrent";
+        const instances = [];
+
+        for (let i = 0; i < 10; i++)
+            instances.push(new PgCompute(DeploymentMode.AUTO, schema));
+
+        await Promise.all(instances.map(instance => instance.init(pgPool)));
+
+        const results = await Promise.all(instances.map(instance => instance.run(pgPool, plv8SumOfThree, 1, 2, 3)));
+        expect(results).toEqual(new Array(10).fill(6));
+
+        await checkFunctionDeployed(pgClient, plv8SumOfThree, schema);
+    })
+
+    it("should rollback failed deployment", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        pgCompute.define(plv8Broken, { returns: "no_such_type" });
+
+        await expect(pgCompute.run(pgClient, plv8Broken)).rejects.toThrow("type \"no_such_type\" does not exist");
+
+        // The connection must not be left in an aborted transaction
+        let result = await pgClient.query("select 1 as one");
+        expect(result.rows[0].one).toBe(1);
+
+        result = await pgClient.query("select * from pg_compute where name = 'plv8Broken'");
+        expect(result.rows.length).toBe(0);
+    })
+
+    it("should keep history and rollback function", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8Release)).toBe("v1");
+
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await deployReleaseV2(pgClient, pgCompute)).toBe("v2");
+
+        let history = await pgCompute.history(pgClient, plv8Release);
+        expect(history.length).toBe(2);
+        expect(history.map(entry => entry.version)).toEqual([1, 2]);
+        expect(history[0].body).toContain("v1");
+        expect(history[1].bodyHashCode).not.toBe(history[0].bodyHashCode);
+        expect(history[1].deployedAt).toBeInstanceOf(Date);
+
+        await pgCompute.rollback(pgClient, plv8Release, 1);
+
+        expect(await deployReleaseV2(pgClient, pgCompute)).toBe("v1");
+
+        history = await pgCompute.history(pgClient, plv8Release);
+        expect(history.length).toBe(3);
+        expect(history[2].bodyHashCode).toBe(history[0].bodyHashCode);
+
+        const result = await checkFunctionDeployed(pgClient, plv8Release);
+        expect(result.rows[0].body_hashcode).toBe(history[0].bodyHashCode);
+
+        await expect(pgCompute.rollback(pgClient, plv8Release, 10)).rejects.toThrow("doesn't exist");
+    })
+
+    it("should keep the rolled back function after reloading the meta table", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8Edition)).toBe("v1");
+
+        pgCompute = new PgCompute(DeploymentMode.AUTO, "public", { syncInterval: 0 });
+        await pgCompute.init(pgClient);
+
+        expect(await deployEditionV2(pgClient, pgCompute)).toBe("v2");
+
+        await pgCompute.rollback(pgClient, plv8Edition, 1);
+
+        expect(await deployEditionV2(pgClient, pgCompute)).toBe("v1");
+
+        // Another application instance deploys a function, so the meta table is reloaded on the next call
+        const otherInstance = new PgCompute();
+        await otherInstance.init(pgClient);
+
+        expect(await otherInstance.run(pgClient, plv8EditionCount)).toBe(2);
+
+        expect(await deployEditionV2(pgClient, pgCompute)).toBe("v1");
+
+        const history = await pgCompute.history(pgClient, plv8Edition);
+        expect(history.length).toBe(3);
+    })
+
+    it("should pre-deploy functions for manual mode", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await expect(pgCompute.deploy(pgClient, plv8SumOfTwo)).rejects.toThrow("is not declared");
+
+        pgCompute.define(plv8SumOfTwo, { args: { a: "int4", b: "int4" }, returns: "int4" });
+
+        let status = await pgCompute.status(pgClient, plv8SumOfTwo);
+        expect(status.state).toBe("missing");
+
+        expect(await pgCompute.deploy(pgClient, plv8SumOfTwo)).toBe("created");
+        expect(await pgCompute.deploy(pgClient, plv8SumOfTwo)).toBe("unchanged");
+
+        status = await pgCompute.status(pgClient, plv8SumOfTwo);
+        expect(status.state).toBe("deployed");
+        expect(status.deployedBody).toBe(status.localBody);
+
+        let manualCompute = new PgCompute(DeploymentMode.MANUAL);
+        await manualCompute.init(pgClient);
+
+        expect(await manualCompute.run(pgClient, plv8SumOfTwo, 1, 2)).toBe(3);
+
+        expect(await pgCompute.drop(pgClient, plv8SumOfTwo)).toEqual(["a int4, b int4"]);
+
+        status = await pgCompute.status(pgClient, plv8SumOfTwo);
+        expect(status.state).toBe("missing");
+    })
+
+    it("should run functions in a transaction", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgPool);
+
+        await pgClient.query("create table tx_accounts (id int primary key, balance int)");
+        await pgClient.query("insert into tx_accounts values (1, 100), (2, 0)");
+
+        let result = await pgCompute.transaction(pgPool, { isolationLevel: IsolationLevel.SERIALIZABLE }, async (tx) => {
+            await tx.run(plv8ChangeBalance, 1, -30);
+            await tx.run(plv8ChangeBalance, 2, 30);
+
+            // The failed part of the transaction is rolled back to the savepoint
+            await expect(tx.savepoint(async (sp) => {
+                await sp.run(plv8ChangeBalance, 2, 1000);
+                throw new Error("Cancelled");
+            })).rejects.toThrow("Cancelled");
+
+            return (await tx.query("select sum(balance) as total from tx_accounts")).rows[0].total;
+        });
+
+        expect(Number(result)).toBe(100);
+
+        await expect(pgCompute.transaction(pgPool, async (tx) => {
+            await tx.run(plv8ChangeBalance, 1, -70);
+            await tx.run(plv8ChangeBalance, 2, -1000);
+        })).rejects.toThrow("Insufficient balance");
+
+        // The transaction with a failed statement is rolled back even if the callback catches the error
+        const error = await pgCompute.transaction(pgPool, async (tx) => {
+            await tx.run(plv8ChangeBalance, 1, -70);
+            await tx.query("select 1 / 0").catch(() => { });
+        }).catch(error => error);
+
+        expect(error).toBeInstanceOf(PgComputeError);
+        expect(error.code).toBe("25P02");
+        expect(error.message).toBe("The transaction has been rolled back because one of its statements failed");
+
+        result = await pgClient.query("select balance from tx_accounts order by id");
+        expect(result.rows.map(row => row.balance)).toEqual([70, 30]);
+
+        // The functions deployed in a rolled back transaction are deployed again
+        await expect(pgCompute.transaction(pgPool, async (tx) => {
+            expect(await tx.run(plv8Triple, 2)).toBe(6);
+            throw new Error("Cancelled");
+        })).rejects.toThrow("Cancelled");
+
+        expect(await pgCompute.run(pgPool, plv8Triple, 2)).toBe(6);
+    })
+
+    it("should redeploy the function changed in a rolled back transaction", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.run(pgClient, plv8ShippingFee)).toBe(5);
+
+        // A new application instance deploys the changed function in the transaction that is rolled back
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await expect(pgCompute.transaction(pgClient, async (tx) => {
+            expect(await runShippingFeeV2(tx)).toBe(7);
+            throw new Error("Cancelled");
+        })).rejects.toThrow("Cancelled");
+
+        expect(await deployShippingFeeV2(pgClient, pgCompute)).toBe(7);
+
+        // The same applies to a savepoint
+        pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await pgCompute.transaction(pgClient, async (tx) => {
+            await expect(tx.savepoint(async (sp) => {
+                expect(await runShippingFeeV3(sp)).toBe(9);
+                throw new Error("Cancelled");
+            })).rejects.toThrow("Cancelled");
+
+            expect(await runShippingFeeV3(tx)).toBe(9);
+        });
+    })
+
+    it("should run several functions in a single round trip", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        let result = await pgCompute.batch(pgClient, [
+            [plv8Multiply, 3, 4],
+            [plv8GenerateSquares, 3],
+            [plv8GetPostgresVersion]
+        ]);
 
-        expect(result).toBe(a + b + c);
+        expect(result[0]).toBe(12);
+        expect(result[1]).toEqual([{ n: 0, square: 0 }, { n: 1, square: 1 }, { n: 2, square: 4 }]);
+        expect(result[2][0].version).toContain("PostgreSQL");
 
-        result = await checkFunctionDeployed(pgClient, plv8SumOfThree);
-        expect(result.rows[0].args).toContain("int");
+        result = await pgCompute.transaction(pgClient, async (tx) => {
+            return await tx.batch([[plv8Multiply, 5, 5], [plv8Multiply, 6, 6]]);
+        });
+
+        expect(result).toEqual([25, 36]);
+
+        // The rows of set-returning functions keep their Postgres types
+        pgCompute.define(plv8BigSeries, { args: { start: "text", count: "int4" }, returns: "setof int8" });
+
+        result = await pgCompute.batch(pgClient, [[plv8BigSeries, "9007199254740993", 2], [plv8BigSeries, "1", 0]]);
+        expect(result).toEqual([[9007199254740993n, 9007199254740994n], []]);
+
+        result = await pgCompute.transaction(pgClient, async (tx) => {
+            return await tx.runMany(plv8BigSeries, [["9007199254740993", 1], ["2", 1]]);
+        });
+
+        expect(result).toEqual([[9007199254740993n], [2n]]);
     })
 
-    it("should fail due to invalid arguments", async () => {
+    it("should run a function for many argument tuples", async () => {
         let pgCompute = new PgCompute();
-        await pgCompute.init(pgClient);
+        await pgCompute.init(pgPool);
 
-        await expect(
-            pgCompute.run(pgClient, plv8SumOfThree, 1, 2, 'test')).rejects.toThrow("invalid input syntax for type integer");
+        const argsList = Array.from({ length: 2500 }, (v, i) => [i, 2]);
 
+        let result = await pgCompute.runMany(pgPool, plv8Multiply, argsList, { chunkSize: 1000 });
+        expect(result.length).toBe(2500);
+        expect(result[0]).toBe(0);
+        expect(result[2499]).toBe(4998);
 
-        await expect(
-            pgCompute.run(pgClient, plv8SumOfThree, 1, 2)).rejects.toThrow("Function arguments mismatch");
+        result = await pgCompute.runMany(pgPool, plv8GenerateSquares, [[1], [2]]);
+        expect(result).toEqual([[{ n: 0, square: 0 }], [{ n: 0, square: 0 }, { n: 1, square: 1 }]]);
 
-        await expect(
-            pgCompute.run(pgClient, plv8SumOfThree, 1, true, 3)).
-            rejects.toThrow("does not exist");
+        const error = await pgCompute.runMany(pgPool, plv8SquareRoot, [[4], [-1], [9], [-4]]).catch(error => error);
+
+        expect(error.message).toContain("2 of 4 calls of function 'plv8SquareRoot' failed");
+        expect(error.errors.map(rowError => rowError.index)).toEqual([1, 3]);
+        expect(error.errors[0].error.message).toContain("Negative number");
+        expect(error.results[0]).toBe(2);
+        expect(error.results[2]).toBe(3);
     })
 
-    it("should create custom schema", async () => {
-        let schema = "tracker";
-        pgComputeCustomSchema = new PgCompute(DeploymentMode.AUTO, schema);
+    it("should report function errors", async () => {
+        let pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
 
-        await pgComputeCustomSchema.init(pgClient);
+        const error = await pgCompute.run(pgClient, plv8SquareRoot, -9).catch(error => error);
 
-        let result = await pgClient.query({
-            text: "SELECT schema_name FROM information_schema.schemata WHERE schema_name = $1",
-            values: [schema]
-        });
+        expect(error).toBeInstanceOf(PgComputeError);
+        expect(error.message).toContain("Function 'plv8SquareRoot' failed");
+        expect(error.functionName).toBe("plv8SquareRoot");
+        expect(error.code).toBe(error.cause.code);
+        expect(error.plv8Message).toContain("Negative number -9");
 
-        expect(result.rows.length).toBe(1);
-        expect(result.rows[0].schema_name).toMatch(schema);
+        const rowError = await pgCompute.runMany(pgClient, plv8SquareRoot, [[-1]]).catch(error => error);
+        expect(rowError.errors[0].error).toBeInstanceOf(PgComputeError);
+    })
 
-        result = await pgComputeCustomSchema.run(pgClient, trackerSchemaFunction);
+    it("should emit deployment events", async () => {
+        let events = [];
 
-        expect(result[0].now).toBeDefined();
+        const createInstance = async () => {
+            let pgCompute = new PgCompute();
+            await pgCompute.init(pgClient);
 
-        await checkFunctionDeployed(pgClient, trackerSchemaFunction, schema);
+            for (const event of ["deploy", "redeploy", "skip", "run:start", "run:end"])
+                pgCompute.on(event, (details) =>
+                    events.push(event + " " + (details.reason != undefined ? details.reason : details.functionName)));
 
-        //check the function doesn't exist in the public schema
-        result = await pgClient.query({
-            text: "select * from pg_compute where name = $1",
-            values: [trackerSchemaFunction.name]
-        });
-        expect(result.rows.length).toBe(0);
+            return pgCompute;
+        };
+
+        let pgCompute = await createInstance();
+
+        expect(await pgCompute.run(pgClient, plv8Quadruple, 2)).toBe(8);
+        expect(await pgCompute.run(pgClient, plv8Quadruple, 3)).toBe(12);
+
+        pgCompute = await createInstance();
+        expect(await deployQuadrupleV2(pgClient, pgCompute, 3)).toBe(13);
+
+        expect(events).toEqual([
+            "run:start plv8Quadruple", "deploy plv8Quadruple", "run:end plv8Quadruple",
+            "run:start plv8Quadruple", "skip verified", "run:end plv8Quadruple",
+            "run:start plv8Quadruple", "redeploy plv8Quadruple", "run:end plv8Quadruple"]);
     })
 
-    it("should not redeploy function", async () => {
-        let pgCompute = new PgCompute();
+    it("should list and prune deployed functions", async () => {
+        const schema = "prune_test";
+
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, schema);
         await pgCompute.init(pgClient);
 
+        await pgCompute.run(pgClient, plv8Multiply, 2, 3);
+        await pgCompute.run(pgClient, plv8Triple, 2);
+        await pgCompute.run(pgClient, plv8Greeting, "Mary");
 
-        let result = await pgCompute.run(pgClient, plv8TestSum);
-        expect(result).toBe(5);
+        await pgClient.query("drop function " + schema + ".\"plv8Greeting\"(text)");
 
-        result = await checkFunctionDeployed(pgClient, plv8TestSum);
-        const oldHashCode = result.rows[0].body_hashcode;
+        let functions = await pgCompute.list(pgClient);
 
-        // Should not redeploy the function because the implementation is
-        // re-checked only when your recreate the compute object or restart the app.
-        result = await deployTestSumV2(pgClient, pgCompute);
-        expect(result).toBe(5);
+        expect(functions.map(func => func.name)).toEqual(["plv8Greeting", "plv8Multiply", "plv8Triple"]);
+        expect(functions.map(func => func.exists)).toEqual([false, true, true]);
+        expect(functions[1].args).toBe("a int4, b int4");
+        expect(functions[1].bodyHashCode).toHaveLength(32);
+        expect(functions[1].deployedAt).toBeInstanceOf(Date);
 
-        result = await checkFunctionDeployed(pgClient, plv8TestSum);
-        expect(result.rows[0].body_hashcode).toMatch(oldHashCode);
+        let pruned = await pgCompute.prune(pgClient, { keep: [plv8Multiply], dryRun: true });
+        expect(pruned.map(func => func.name)).toEqual(["plv8Greeting", "plv8Triple"]);
+        expect((await pgCompute.list(pgClient)).length).toBe(3);
+
+        pruned = await pgCompute.prune(pgClient, { keep: [plv8Multiply] });
+        expect(pruned.map(func => func.name)).toEqual(["plv8Greeting", "plv8Triple"]);
+
+        functions = await pgCompute.list(pgClient);
+        expect(functions.map(func => func.name)).toEqual(["plv8Multiply"]);
+
+        let result = await pgClient.query("select count(*) as cnt from pg_proc where proname = 'plv8Triple' and pronamespace = '" + schema + "'::regnamespace");
+        expect(result.rows[0].cnt).toBe("0");
+
+        // A pruned function is deployed again on the next call
+        expect(await pgCompute.run(pgClient, plv8Triple, 2)).toBe(6);
+
+        await expect(pgCompute.prune(pgClient, {})).rejects.toThrow("Invalid keep list");
     })
 
-    it("should redeploy function", async () => {
+    it("should deploy trigger functions", async () => {
         let pgCompute = new PgCompute();
         await pgCompute.init(pgClient);
 
+        await pgClient.query("create table trigger_orders (id int primary key, amount int, status text)");
 
-        let result = await pgCompute.run(pgClient, plv8TestSum);
-        expect(result).toBe(5);
+        const trigger = { table: "trigger_orders", events: ["INSERT", "UPDATE"], timing: "BEFORE", forEach: "ROW" };
 
-        result = await checkFunctionDeployed(pgClient, plv8TestSum);
-        const oldHashCode = result.rows[0].body_hashcode;
+        expect(await pgCompute.createTrigger(pgClient, trigger, plv8SetOrderStatus)).toBe("created");
+        expect(await pgCompute.createTrigger(pgClient, trigger, plv8SetOrderStatus)).toBe("unchanged");
 
-        // Presently, the function implementation is re-checked 
-        // only when you recreate the compute object or restart the app.
+        await pgClient.query("insert into trigger_orders values (1, 50), (2, 500)");
+
+        let result = await pgClient.query("select status from trigger_orders order by id");
+        expect(result.rows.map(row => row.status)).toEqual(["small", "large"]);
+
+        result = await checkFunctionDeployed(pgClient, plv8SetOrderStatus);
+        expect(result.rows[0].returns).toBe("trigger");
+        expect(result.rows[0].trigger_table).toBe("trigger_orders");
+
+        // A new application instance redeploys the changed function
         pgCompute = new PgCompute();
         await pgCompute.init(pgClient);
 
-        result = await deployTestSumV2(pgClient, pgCompute);
-        expect(result).toBe(15);
+        expect(await deployOrderStatusV2(pgClient, pgCompute, trigger)).toBe("redeployed");
 
-        result = await checkFunctionDeployed(pgClient, plv8TestSum);
-        expect(result.rows[0].body_hashcode).not.toMatch(oldHashCode);
+        await pgClient.query("update trigger_orders set amount = 1000 where id = 1");
+
+        result = await pgClient.query("select status from trigger_orders where id = 1");
+        expect(result.rows[0].status).toBe("LARGE");
+
+        await expect(pgCompute.createTrigger(pgClient, { table: "trigger_orders", events: ["SELECT"] }, plv8SetOrderStatus))
+            .rejects.toThrow("Unsupported trigger event 'SELECT'");
+
+        expect(await pgCompute.drop(pgClient, plv8SetOrderStatus)).toEqual([""]);
+
+        result = await pgClient.query("select * from pg_trigger where tgname = 'plv8SetOrderStatus'");
+        expect(result.rows.length).toBe(0);
+    })
+
+    it("should quote the trigger table", async () => {
+        const pgCompute = new PgCompute();
+        await pgCompute.init(pgClient);
+
+        await pgClient.query('create table "TriggerOrders" (id int primary key, amount int, status text)');
+
+        const trigger = { table: "public.TriggerOrders", events: ["INSERT"] };
+
+        expect(await pgCompute.createTrigger(pgClient, trigger, plv8SetMixedCaseStatus)).toBe("created");
+
+        await pgClient.query('insert into "TriggerOrders" values (1, 50)');
+
+        let result = await pgClient.query('select status from "TriggerOrders"');
+        expect(result.rows[0].status).toBe("mixed");
+
+        // The table name can't inject SQL
+        await expect(pgCompute.createTrigger(pgClient, { table: "TriggerOrders; drop table accounts", events: ["INSERT"] },
+            plv8SetMixedCaseStatus)).rejects.toThrow('relation "TriggerOrders; drop table accounts" does not exist');
+        await expect(pgCompute.createTrigger(pgClient, { table: "db.public.TriggerOrders", events: ["INSERT"] },
+            plv8SetMixedCaseStatus)).rejects.toThrow("Invalid trigger table 'db.public.TriggerOrders'");
+
+        expect(await pgCompute.drop(pgClient, plv8SetMixedCaseStatus)).toEqual([""]);
+
+        result = await pgClient.query("select * from pg_trigger where tgname = 'plv8SetMixedCaseStatus'");
+        expect(result.rows.length).toBe(0);
+    })
+
+    it("should deploy functions with CLI", async () => {
+        const fixture = __dirname + "/fixtures/db_functions.js";
+        const connection = pgContainer.getConnectionUri();
+        const out = { log: jest.fn(), error: jest.fn() };
+
+        expect(await cli.main(["deploy", fixture, "-c", connection, "-s", "cli"], out)).toBe(0);
+        expect(out.log.mock.calls.map(call => call[0])).toEqual(["created     cliSum", "created     cliNow"]);
+
+        out.log.mockClear();
+        expect(await cli.main(["status", fixture, "-c", connection, "-s", "cli", "-f", "cliSum"], out)).toBe(0);
+        expect(out.log.mock.calls[0][0]).toMatch(/^deployed\s+cliSum\(a int4, b int4\)/);
+
+        out.log.mockClear();
+        expect(await cli.main(["diff", fixture, "-c", connection, "-s", "cli"], out)).toBe(0);
+        expect(out.log).not.toHaveBeenCalled();
+
+        expect(await cli.main(["drop", fixture, "-c", connection, "-s", "cli"], out)).toBe(0);
+
+        const result = await pgClient.query("select * from cli.pg_compute");
+        expect(result.rows.length).toBe(0);
+    })
+
+    it("should generate migration with CLI that replaces changed functions", async () => {
+        const out = { log: jest.fn(), error: jest.fn() };
+
+        const applyMigration = async (fixture) => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pg-compute-"));
+
+            try {
+                expect(await cli.main(["migrate", __dirname + "/fixtures/" + fixture, "-o", dir, "-s", "cli_migrated"], out))
+                    .toBe(0);
+
+                const upFile = fs.readdirSync(dir).find(file => file.endsWith(".up.sql"));
+                await pgClient.query(fs.readFileSync(path.join(dir, upFile), "utf8"));
+            } finally {
+                fs.rmSync(dir, { recursive: true });
+            }
+        };
+
+        await applyMigration("db_functions.js");
+        // The return type of cliNow and the argument types of cliSum are changed
+        await applyMigration("db_functions_v2.js");
+
+        let result = await pgClient.query(
+            "select p.proname, pg_get_function_identity_arguments(p.oid) as args, pg_get_function_result(p.oid) as returns " +
+            "from pg_proc p where p.pronamespace = 'cli_migrated'::regnamespace order by p.proname");
+        expect(result.rows).toEqual([
+            { proname: "cliNow", args: "", returns: "text" },
+            { proname: "cliSum", args: "a bigint, b bigint", returns: "bigint" }
+        ]);
+
+        result = await pgClient.query("select name, args, returns from cli_migrated.pg_compute order by name");
+        expect(result.rows).toEqual([
+            { name: "cliNow", args: "", returns: "text" },
+            { name: "cliSum", args: "a int8, b int8", returns: "int8" }
+        ]);
+
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, "cli_migrated");
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.deploy(pgClient, require("./fixtures/db_functions_v2").cliSum)).toBe("unchanged");
+    })
+
+    it("should generate migration that matches auto deployment", async () => {
+        let pgCompute = new PgCompute(DeploymentMode.AUTO, "migrated");
+
+        pgCompute.define(plv8SumOfTwo, { args: { a: "int4", b: "int4" }, returns: "int4" });
+
+        const migration = pgCompute.generateMigration([plv8SumOfTwo, plv8TestSum]);
+        await pgClient.query(migration.up);
+
+        await pgCompute.init(pgClient);
+
+        expect(await pgCompute.deploy(pgClient, plv8SumOfTwo)).toBe("unchanged");
+        expect(await pgCompute.run(pgClient, plv8TestSum)).toBe(5);
+
+        let result = await pgClient.query("select count(*)::int as cnt from migrated.pg_compute_history");
+        expect(result.rows[0].cnt).toBe(2);
+
+        await pgClient.query(migration.down);
+
+        result = await pgClient.query("select count(*)::int as cnt from migrated.pg_compute");
+        expect(result.rows[0].cnt).toBe(0);
     })
 
     it("should fail because function is not deployed manually", async () => {
@@ -235,10 +1294,144 @@ function plv8SumOfThree(a, b, c) {
     return a + b + c;
 }
 
+function plv8Greeting(name) {
+    return "Hello, " + name;
+}
+
+function plv8EchoNumber(x) {
+    return x;
+}
+
+function plv8ManualScale(amount, factor) {
+
+}
+
+function plv8ArgumentTypes(obj, mixed, floats, ints, strs, bytes, ts, big, empty) {
+    return {
+        obj: obj, mixed: mixed, floats: floats, ints: ints, strs: strs,
+        bytes: bytes.length, ts: ts, big: String(big), empty: empty
+    };
+}
+
+function plv8BigSeries(start, count) {
+    // The values above 2^53 are returned as strings, plv8 parses them as int8 without the precision loss
+    for (let i = 0; i < count; i++)
+        plv8.return_next((BigInt(start) + BigInt(i)).toString());
+}
+
+function plv8Multiply(a, b) {
+    return a * b;
+}
+
+function plv8JoinTags(id, tags) {
+    /**
+     * @param {int8} id
+     * @param {string[]} tags
+     * @returns {string}
+     */
+    return id + ":" + tags.join(",");
+}
+
+function* plv8GenerateSquares(cnt) {
+    for (let n = 0; n < cnt; n++)
+        yield { n: n, square: n * n };
+}
+
+function plv8SquaresTable(cnt) {
+    for (let n = 0; n < cnt; n++)
+        plv8.return_next({ n: n, square: n * n });
+}
+
+function plv8DoubleBig(a) {
+    return a * 2;
+}
+
+function plv8GetEvent(id) {
+    return { id: id, at: new Date(Date.UTC(2023, 0, 1)) };
+}
+
+function* plv8EventsTable(cnt) {
+    for (let i = 0; i < cnt; i++)
+        yield { id: i, at: new Date(Date.UTC(2023, 0, 1 + i)) };
+}
+
+function plv8FormatAmount(amount, currency) {
+    const money = require("money");
+    return money.format(amount, currency);
+}
+
+function plv8FormatDuration(ms) {
+    return require("ms")(ms);
+}
+
+function plv8RoundAmount(amount) {
+    return require("money").roundTo(amount, 2);
+}
+
+function plv8RequireUndeclared() {
+    return require("decimal.js");
+}
+
+function plv8RoundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function plv8ApplyDiscount(price) {
+    return price * (1 - PLV8_DISCOUNT);
+}
+
+function plv8RegisteredAdd(a, b) {
+    return a + b;
+}
+
+function plv8RegisteredGreeting() {
+    return "Hello";
+}
+
+function plv8RegisteredSquare(x) {
+    return x * x;
+}
+
+function plv8ReadEnv(name) {
+    return process.env[name];
+}
+
+function plv8DiscountedTotal(prices) {
+    return plv8RoundCents(prices.reduce((total, price) => total + plv8ApplyDiscount(price), 0));
+}
+
+function getCircleArea() {
+    return function plv8Area(r) {
+        return Math.PI * r * r;
+    }
+}
+
+function getRectangleArea() {
+    return function plv8Area(w, h) {
+        return w * h;
+    }
+}
+
+function plv8Double(a) {
+    return a * 2;
+}
+
 function trackerSchemaFunction() {
     return plv8.execute('select now()');
 }
 
+function plv8Label() {
+    return "label";
+}
+
+async function deployLabelV2(pgClient, pgCompute) {
+    function plv8Label() {
+        return "LABEL";
+    }
+
+    return await pgCompute.run(pgClient, plv8Label);
+}
+
 async function deployTestSumV2(pgClient, pgCompute) {
     function plv8TestSum() {
         let a = 2;
@@ -252,6 +1445,162 @@ async function deployTestSumV2(pgClient, pgCompute) {
     return await pgCompute.run(pgClient, plv8TestSum);
 }
 
+const plv8Describe = ({ name }, greeting = "Hello", ...tags) => {
+    return greeting + ", " + name + (tags.length > 0 ? " (" + tags.join(", ") + ")" : "");
+};
+
+const plv8Cube = (x) => x * x * x;
+
+function plv8AddTax(netAmount, taxRate) {
+    return netAmount * (1 + taxRate);
+}
+
+function getMinifiedFunctions() {
+    const first = function a(x) { return x + 1; };
+    const second = function a(x) { return x + 2; };
+
+    return [first, second];
+}
+
+function plv8ChangeBalance(id, amount) {
+    const rows = plv8.execute("update tx_accounts set balance = balance + $2 where id = $1 returning balance", [id, amount]);
+
+    if (rows[0].balance < 0)
+        throw new Error("Insufficient balance");
+
+    return rows[0].balance;
+}
+
+function plv8SquareRoot(a) {
+    if (a < 0)
+        throw new Error("Negative number " + a);
+
+    return Math.sqrt(a);
+}
+
+function plv8Triple(a) {
+    return a * 3;
+}
+
+function plv8Quadruple(a) {
+    return a * 4;
+}
+
+async function deployQuadrupleV2(pgClient, pgCompute, a) {
+    function plv8Quadruple(a) {
+        return a * 4 + 1;
+    }
+
+    return await pgCompute.run(pgClient, plv8Quadruple, a);
+}
+
+function plv8SetOrderStatus() {
+    NEW.status = NEW.amount > 100 ? "large" : "small";
+    return NEW;
+}
+
+function plv8SetMixedCaseStatus() {
+    NEW.status = "mixed";
+    return NEW;
+}
+
+async function deployOrderStatusV2(pgClient, pgCompute, trigger) {
+    function plv8SetOrderStatus() {
+        NEW.status = NEW.amount > 100 ? "LARGE" : "SMALL";
+        return NEW;
+    }
+
+    return await pgCompute.createTrigger(pgClient, trigger, plv8SetOrderStatus);
+}
+
+function plv8Version() {
+    return 1;
+}
+
+async function deployVersionV2(pgClient, pgCompute) {
+    function plv8Version() {
+        return 2;
+    }
+
+    return await pgCompute.run(pgClient, plv8Version);
+}
+
+function plv8ShippingFee() {
+    return 5;
+}
+
+async function runShippingFeeV2(tx) {
+    function plv8ShippingFee() {
+        return 7;
+    }
+
+    return await tx.run(plv8ShippingFee);
+}
+
+async function runShippingFeeV3(tx) {
+    function plv8ShippingFee() {
+        return 9;
+    }
+
+    return await tx.run(plv8ShippingFee);
+}
+
+async function deployShippingFeeV2(pgClient, pgCompute) {
+    function plv8ShippingFee() {
+        return 7;
+    }
+
+    return await pgCompute.run(pgClient, plv8ShippingFee);
+}
+
+function plv8Broken() {
+    return 1;
+}
+
+function plv8Release() {
+    return "v1";
+}
+
+async function deployReleaseV2(pgClient, pgCompute) {
+    function plv8Release() {
+        return "v2";
+    }
+
+    return await pgCompute.run(pgClient, plv8Release);
+}
+
+function plv8Build() {
+    return "old";
+}
+
+async function deployBuildV2(pgClient, pgCompute) {
+    function plv8Build() {
+        return "new";
+    }
+
+    return await pgCompute.run(pgClient, plv8Build);
+}
+
+function plv8Edition() {
+    return "v1";
+}
+
+async function deployEditionV2(pgClient, pgCompute) {
+    function plv8Edition() {
+        return "v2";
+    }
+
+    return await pgCompute.run(pgClient, plv8Edition);
+}
+
+function plv8EditionCount() {
+    return 2;
+}
+
+function plv8SumOfTwo(a, b) {
+    return a + b;
+}
+
 function sampleManualDeployFunction(a) {
 
 }
\ No newline at end of file